@@ -1,253 +0,0 @@
-[
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1800774014,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_clck",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "8i7aub%5E2%5Eg2z%5E1%5E1867",
-    "id": 1
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1769324859,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_clsk",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "1pdnzpm%5E1769238459606%5E4%5E0%5Ed.clarity.ms%2Fcollect",
-    "id": 2
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1778520505,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_cs_c",
-    "path": "/",
-    "sameSite": "lax",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "0",
-    "id": 3
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1778520505,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_cs_id",
-    "path": "/",
-    "sameSite": "lax",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "b1371f42-9c41-a553-ef2c-93c45d12677a.1744356505.1.1744356505.1744356505.1613561419.1778520505694.1.x",
-    "id": 4
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1776405968,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_gcl_au",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "1.1.1850536425.1768629968",
-    "id": 5
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1778052506,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "_uetvid",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "8f9f9160e7aa11ef9e8e47a973d7a492|1ff2vtt|1744356506367|1|1|bat.bing.com/p/insights/c/s",
-    "id": 6
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1793680869,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "AMCV_EA76ADE95776D2EC7F000101%40AdobeOrg",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "1585540135%7CMCIDTS%7C20365%7CMCMID%7C32804038693380868504299487421564904534%7CMCAAMLH-1760095669%7C12%7CMCAAMB-1760095669%7CRKhpRz8krg2tLO6pguXWp5olkAcUniQYPHaMWWgdJ3xzPWQmdj0y%7CMCCIDH%7C1534746660%7CMCOPTOUT-1759498069s%7CNONE%7CMCAID%7CNONE%7CMCSYNCSOP%7C411-20197%7CvVersion%7C4.4.0",
-    "id": 7
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1793618870,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "kndctr_EA76ADE95776D2EC7F000101_AdobeOrg_identity",
-    "path": "/",
-    "sameSite": "no_restriction",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "CiYzMjgwNDAzODY5MzM4MDg2ODUwNDI5OTQ4NzQyMTU2NDkwNDUzNFIRCNf7z86aMxgBKgRJTkQxMAPwAdf7z86aMw==",
-    "id": 8
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1790842743,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "LPVID",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "IyYTRhNzBlMWMyZDg1OTIy",
-    "id": 9
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1795301390,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "mbox",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "PC#09bd4a36a29c4f7c963a27994866cd10.41_0#1795301390|session#993cf66b62574be68630d9b2410bd47d#1761123250",
-    "id": 10
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1770726503.824769,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "MC1",
-    "path": "/",
-    "sameSite": "no_restriction",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "GUID=f20bd9a01e4e44f4bfded60300aae652&HASH=f20b&LV=202502&V=4&LU=1739190503563",
-    "id": 11
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1769324415,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "MSCC",
-    "path": "/",
-    "sameSite": "no_restriction",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "NR",
-    "id": 12
-},
-{
-    "domain": ".microsoft.com",
-    "expirationDate": 1794817390.185143,
-    "hostOnly": false,
-    "httpOnly": false,
-    "name": "MUID",
-    "path": "/",
-    "sameSite": "no_restriction",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "354BE72C0DC1662231BFF2A30CC767AF",
-    "id": 13
-},
-{
-    "domain": "clarity.microsoft.com",
-    "hostOnly": true,
-    "httpOnly": false,
-    "name": "_csrf",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": true,
-    "storeId": "0",
-    "value": "_TUsEw6l3aPrWrw5fQpkEoHS",
-    "id": 14
-},
-{
-    "domain": "clarity.microsoft.com",
-    "expirationDate": 1771052843.683956,
-    "hostOnly": true,
-    "httpOnly": true,
-    "name": "aadprofile",
-    "path": "/",
-    "sameSite": "no_restriction",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "s%3AhN_RdqCU7dFcNasDFF4TCBMDgkOS52LA.2RkuzmF%2F2xZuEC%2FeqdSF2Po3%2B2YAcolkPXlDU7Hm7n8",
-    "id": 15
-},
-{
-    "domain": "clarity.microsoft.com",
-    "expirationDate": 1784181976,
-    "hostOnly": true,
-    "httpOnly": false,
-    "name": "g_state",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "{\"i_l\":0,\"i_ll\":1768629968324}",
-    "id": 16
-},
-{
-    "domain": "clarity.microsoft.com",
-    "expirationDate": 1800165979.13851,
-    "hostOnly": true,
-    "httpOnly": false,
-    "name": "idp",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": false,
-    "session": false,
-    "storeId": "0",
-    "value": "google",
-    "id": 17
-},
-{
-    "domain": "clarity.microsoft.com",
-    "expirationDate": 1779276646.608568,
-    "hostOnly": true,
-    "httpOnly": true,
-    "name": "MUIDB",
-    "path": "/",
-    "sameSite": "unspecified",
-    "secure": true,
-    "session": false,
-    "storeId": "0",
-    "value": "354BE72C0DC1662231BFF2A30CC767AF",
-    "id": 18
-}
-]
\ No newline at end of file
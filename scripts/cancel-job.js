@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Cancel a queued or running job on the capture server
+ * Run with: npm run queue:cancel -- <jobId> [--server <url>] [--api-key <key>]
+ */
+
+import 'dotenv/config';
+
+const args = process.argv.slice(2);
+let jobId = null;
+let serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3001}`;
+let apiKey = process.env.API_KEY || null;
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--server':
+    case '-s':
+      serverUrl = args[++i];
+      break;
+    case '--api-key':
+    case '-k':
+      apiKey = args[++i];
+      break;
+    case '--help':
+    case '-h':
+      console.log(`
+Cancel a job on the capture server
+
+Usage: npm run queue:cancel -- <jobId> [options]
+
+Options:
+  --server, -s <url>      Server URL (default: $SERVER_URL or http://localhost:3001)
+  --api-key, -k <key>     API key with the capture scope (default: $API_KEY)
+  --help, -h              Show this help message
+
+Queued jobs are removed from the queue. Running jobs are aborted: in-flight
+browser sessions are closed and the job keeps the recordings captured so far.
+
+Example:
+  npm run queue:cancel -- job_20250123_143022_001
+`);
+      process.exit(0);
+    default:
+      jobId = args[i];
+  }
+}
+
+if (!jobId) {
+  console.error('Error: jobId is required (see --help)');
+  process.exit(1);
+}
+
+try {
+  const response = await fetch(`${serverUrl.replace(/\/$/, '')}/queue/job/${encodeURIComponent(jobId)}`, {
+    method: 'DELETE',
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    console.error(`✗ Could not cancel ${jobId}: ${body.error || response.statusText}`);
+    process.exit(1);
+  }
+
+  console.log(`✓ Job ${body.jobId} ${body.status === 'cancelling' ? 'is being cancelled' : 'cancelled'}`);
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Manage Clarity cookie sets in the encrypted vault
+ * Run with: npm run cookies:vault -- <command> [args]
+ */
+
+import 'dotenv/config';
+import {
+  readCookieExport,
+  saveCookieSet,
+  listCookieSets,
+  deleteCookieSet,
+  rotateVaultKey,
+} from '../src/cookie-vault.js';
+
+const HELP = `
+Manage Clarity cookie sets in the encrypted vault
+
+Usage: npm run cookies:vault -- <command> [args]
+
+Commands:
+  import <name> <file>    Import an EditThisCookie JSON or Netscape cookies.txt export
+  list                    List stored cookie sets with their expiry
+  delete <name>           Delete a cookie set
+  rotate-key [--new-key <key>]
+                          Re-encrypt every set with a new key
+                          (default: $COOKIE_VAULT_NEW_KEY)
+
+Cookie sets are encrypted with COOKIE_VAULT_KEY and stored in
+$DATA_DIR/cookie-vault.json. After rotate-key, set COOKIE_VAULT_KEY to the
+new key everywhere the vault is used. Queued or interrupted /batch jobs that
+were sent inline cookies hold them sealed under the old key: they fail after
+the rotation and need queueing again.
+
+Examples:
+  npm run cookies:vault -- import acme ~/Downloads/clarity-cookies.json
+  npm run cookies:vault -- list
+  npm run cookies:vault -- rotate-key --new-key "$(openssl rand -base64 32)"
+`;
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case 'import': {
+      const [name, file] = args;
+      if (!name || !file) {
+        throw new Error('Usage: import <name> <file>');
+      }
+
+      const { cookieCount, expiry } = saveCookieSet(name, readCookieExport(file));
+      console.log(`✓ Imported ${cookieCount} cookies as "${name}"`);
+      if (expiry.valid) {
+        console.log(`  Auth cookie ${expiry.authCookie} expires ${expiry.expiresAtFormatted} (${expiry.daysRemaining} days)`);
+      } else {
+        console.warn(`  ⚠ ${expiry.error || 'Auth cookie has expired'}`);
+      }
+      console.log(`  You can now delete ${file}`);
+      break;
+    }
+
+    case 'list': {
+      const sets = listCookieSets();
+      if (sets.length === 0) {
+        console.log('No cookie sets stored');
+        break;
+      }
+
+      for (const set of sets) {
+        const expiry = set.expiresAt
+          ? `expires ${set.expiresAt} (${set.daysRemaining} days${set.warningLevel ? `, ${set.warningLevel}` : ''})`
+          : 'no auth cookie';
+        console.log(`${set.name.padEnd(24)} ${String(set.cookieCount).padStart(3)} cookies  ${expiry}`);
+      }
+      break;
+    }
+
+    case 'delete': {
+      const [name] = args;
+      if (!name) {
+        throw new Error('Usage: delete <name>');
+      }
+      if (!deleteCookieSet(name)) {
+        throw new Error(`No cookie set named "${name}"`);
+      }
+      console.log(`✓ Deleted "${name}"`);
+      break;
+    }
+
+    case 'rotate-key': {
+      const flag = args.indexOf('--new-key');
+      const newKey = flag >= 0 ? args[flag + 1] : process.env.COOKIE_VAULT_NEW_KEY;
+      if (!newKey) {
+        throw new Error('Provide the new key with --new-key <key> or COOKIE_VAULT_NEW_KEY');
+      }
+
+      const count = rotateVaultKey(newKey);
+      console.log(`✓ Re-encrypted ${count} cookie sets`);
+      console.log('  Update COOKIE_VAULT_KEY to the new key before the next run');
+      break;
+    }
+
+    case undefined:
+    case '--help':
+    case '-h':
+      console.log(HELP);
+      break;
+
+    default:
+      throw new Error(`Unknown command: ${command} (see --help)`);
+  }
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
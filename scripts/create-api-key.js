@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Create an API key for the capture server
+ * Run with: npm run auth:key -- <name> --scopes capture,read-queue [--env]
+ */
+
+import 'dotenv/config';
+import * as fs from 'fs';
+import * as path from 'path';
+import { config } from '../src/config.js';
+import { SCOPES, hashApiKey, generateApiKey, readKeyEntries } from '../src/auth.js';
+
+const args = process.argv.slice(2);
+let name = null;
+let scopes = [];
+let envOnly = false;
+
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--scopes':
+    case '-s':
+      scopes = args[++i].split(',').map((s) => s.trim()).filter(Boolean);
+      break;
+    case '--env':
+      envOnly = true;
+      break;
+    case '--help':
+    case '-h':
+      console.log(`
+Create an API key for the capture server
+
+Usage: npm run auth:key -- <name> --scopes <scopes> [options]
+
+Options:
+  --scopes, -s <list>     Comma-separated scopes: ${SCOPES.join(', ')}
+  --env                   Print an API_KEYS entry instead of writing the key file
+  --help, -h              Show this help message
+
+The key is printed once; only its SHA-256 hash is stored (in
+${config.auth.keysFile}, or API_KEYS with --env). Restart the server to
+pick up new keys.
+
+Examples:
+  npm run auth:key -- n8n --scopes capture,read-queue,notify
+  npm run auth:key -- ops --scopes admin --env
+`);
+      process.exit(0);
+    default:
+      name = args[i];
+  }
+}
+
+try {
+  if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+    throw new Error('A key name (letters, digits, "-" or "_") is required (see --help)');
+  }
+  if (scopes.length === 0) {
+    throw new Error(`--scopes is required (${SCOPES.join(', ')})`);
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Supported: ${SCOPES.join(', ')}`);
+  }
+
+  const key = generateApiKey();
+  const keyHash = hashApiKey(key);
+
+  if (envOnly) {
+    console.log(`Add to API_KEYS (comma-separated with any existing entries):\n  ${name}:${scopes.join('|')}:${keyHash}`);
+  } else {
+    if (readKeyEntries().some((entry) => entry.name === name)) {
+      throw new Error(`An API key named "${name}" already exists`);
+    }
+
+    const stored = fs.existsSync(config.auth.keysFile)
+      ? JSON.parse(fs.readFileSync(config.auth.keysFile, 'utf-8'))
+      : [];
+    stored.push({ name, keyHash, scopes, createdAt: new Date().toISOString() });
+
+    fs.mkdirSync(path.dirname(config.auth.keysFile), { recursive: true });
+    fs.writeFileSync(config.auth.keysFile, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    console.log(`✓ Added "${name}" to ${config.auth.keysFile}`);
+  }
+
+  console.log(`\nAPI key (shown once - store it now):\n  ${key}`);
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
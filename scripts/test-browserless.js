@@ -11,6 +11,12 @@ console.log('Testing Browserless.io connection...\n');
 try {
   const results = await testConnection();
 
+  console.log('Endpoints:');
+  for (const { endpoint, healthy, lastError } of results.endpoints) {
+    console.log(`  ${healthy ? '✓' : '✗'} ${endpoint}${lastError ? ` (${lastError})` : ''}`);
+  }
+  console.log('');
+
   console.log('WebSocket:', results.websocket.success ? '✓ Connected' : '✗ Failed');
   if (results.websocket.error) {
     console.log('  Error:', results.websocket.error);
@@ -0,0 +1,218 @@
+/**
+ * API Key Authentication
+ *
+ * Requests authenticate with `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * Only SHA-256 hashes of keys are stored, in either place:
+ * - API_KEYS env var: comma-separated `name:scope|scope:sha256hex` entries
+ * - API_KEYS_FILE (default DATA_DIR/api-keys.json): [{ name, keyHash, scopes }]
+ *
+ * Scopes:
+ * - capture:    /capture, /batch, /recordings, /insights, cancelling, resuming and
+ *               redelivering jobs
+ * - read-queue: /queue, job status / events and /captures lookups
+ * - notify:     /cookies/check and /cookies/notify (they POST to Slack)
+ * - admin:      everything, including /profiles and /schedules
+ *
+ * With no keys configured every request is refused with 401, so a deployment
+ * that forgets its keys isn't left open. AUTH_DISABLED=true turns
+ * authentication off for local development. Create keys with `npm run auth:key`.
+ *
+ * /webhook callers can additionally sign the raw body: with INBOUND_WEBHOOK_SECRET
+ * set, requests need `X-Signature-256: sha256=<hex HMAC-SHA256 of the body>`.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import { config } from './config.js';
+
+export const SCOPES = ['capture', 'read-queue', 'notify', 'admin'];
+
+let apiKeys = null; // keyHash -> { name, scopes }, loaded on first use
+
+/**
+ * Hash an API key for storage or lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Plaintext key (show it once, store only its hash)
+ */
+export function generateApiKey() {
+  return `cra_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Validate a key entry
+ * @param {Object} entry - { name, keyHash, scopes }
+ * @param {string} source - Where the entry came from (for error messages)
+ * @returns {Object} The entry
+ */
+function validateKeyEntry(entry, source) {
+  if (!entry.name || !/^[0-9a-f]{64}$/.test(entry.keyHash || '')) {
+    throw new Error(`Invalid API key entry in ${source}: needs a name and a SHA-256 hex keyHash`);
+  }
+
+  const unknown = (entry.scopes || []).filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s) for API key "${entry.name}": ${unknown.join(', ')}. Supported: ${SCOPES.join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Read key entries from API_KEYS and the key file
+ * @returns {Array<Object>} Entries { name, keyHash, scopes }
+ */
+export function readKeyEntries() {
+  const entries = [];
+
+  if (config.auth.apiKeys) {
+    for (const item of config.auth.apiKeys.split(',').map((s) => s.trim()).filter(Boolean)) {
+      const [name, scopes, keyHash] = item.split(':');
+      entries.push(validateKeyEntry({ name, keyHash, scopes: (scopes || '').split('|').filter(Boolean) }, 'API_KEYS'));
+    }
+  }
+
+  if (fs.existsSync(config.auth.keysFile)) {
+    const stored = JSON.parse(fs.readFileSync(config.auth.keysFile, 'utf-8'));
+    for (const entry of stored) {
+      entries.push(validateKeyEntry(entry, config.auth.keysFile));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Load API keys (once)
+ * @returns {Map<string, Object>} keyHash -> { name, scopes }
+ */
+function loadApiKeys() {
+  if (apiKeys) return apiKeys;
+
+  apiKeys = new Map();
+  for (const { name, keyHash, scopes } of readKeyEntries()) {
+    apiKeys.set(keyHash, { name, scopes });
+  }
+
+  if (apiKeys.size > 0) {
+    console.log(`[Auth] Loaded ${apiKeys.size} API keys`);
+  } else if (!config.auth.disabled) {
+    console.warn('[Auth] No API keys configured - all requests will be refused. Create one with: npm run auth:key');
+  }
+  return apiKeys;
+}
+
+/**
+ * Check whether API key authentication is enabled
+ * @returns {boolean} True unless AUTH_DISABLED=true
+ */
+export function isAuthEnabled() {
+  return !config.auth.disabled;
+}
+
+/**
+ * Read the API key from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Key or null
+ */
+function getRequestKey(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Identify the API key a request was made with
+ * @param {Object} req - Express request
+ * @returns {Object|null} { name, scopes }, or null if the key is missing or unknown
+ */
+export function authenticateRequest(req) {
+  const key = getRequestKey(req);
+  if (!key) return null;
+  return loadApiKeys().get(hashApiKey(key)) || null;
+}
+
+/**
+ * Express middleware requiring an API key with a scope
+ * Sets req.apiKey to { name, scopes }. The admin scope grants everything.
+ * @param {string|Function} scope - Required scope, or a function (req) => scope
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!isAuthEnabled()) return next();
+
+    if (loadApiKeys().size === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'No API keys are configured on this server - create one with npm run auth:key (or set AUTH_DISABLED=true for local development)',
+      });
+    }
+
+    const apiKey = authenticateRequest(req);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: getRequestKey(req) ? 'Invalid API key' : 'API key required',
+      });
+    }
+
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!apiKey.scopes.includes(required) && !apiKey.scopes.includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: `API key "${apiKey.name}" does not have the "${required}" scope`,
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Express middleware verifying the HMAC signature of an incoming webhook
+ * Does nothing unless INBOUND_WEBHOOK_SECRET is set. Needs req.rawBody
+ * (see the express.json verify hook in server.js).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function verifyWebhookSignature(req, res, next) {
+  const secret = config.auth.webhookSecret;
+  if (!secret) return next();
+
+  const signature = req.get('x-signature-256') || '';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')}`;
+
+  const given = Buffer.from(signature);
+  const valid = given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      error: signature ? 'Invalid webhook signature' : 'X-Signature-256 header required',
+    });
+  }
+  next();
+}
+
+export default {
+  SCOPES,
+  hashApiKey,
+  generateApiKey,
+  readKeyEntries,
+  isAuthEnabled,
+  authenticateRequest,
+  requireScope,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,218 @@
+/**
+ * Browserless.io browser backend
+ *
+ * Connects to a hosted Chrome over WebSocket and records with the
+ * Browserless.startRecording / Browserless.stopRecording CDP extensions
+ * (requires the session to be opened with record=true).
+ *
+ * Endpoints come from BROWSERLESS_ENDPOINTS (ordered, comma-separated) or
+ * BROWSERLESS_ENDPOINT. When an endpoint refuses the connection or reports
+ * a concurrency limit, the capture fails over to the next one and the
+ * failing endpoint is skipped until its cooldown expires.
+ */
+
+import puppeteer from 'puppeteer-core';
+import { config } from '../config.js';
+
+// endpoint -> { healthy, failures, lastError, lastCheckedAt, unhealthyUntil }
+const endpointHealth = new Map();
+
+/**
+ * Convert a Browserless HTTP(S) endpoint to its WebSocket URL
+ * @param {string} endpoint - e.g. https://production-lon.browserless.io
+ * @returns {string} e.g. wss://production-lon.browserless.io
+ */
+export function toWebSocketUrl(endpoint) {
+  return endpoint.replace(/^http(s?):\/\//i, 'ws$1://');
+}
+
+/**
+ * Record a successful connection or health check
+ * @param {string} endpoint - Browserless endpoint
+ */
+function markHealthy(endpoint) {
+  endpointHealth.set(endpoint, {
+    healthy: true,
+    failures: 0,
+    lastError: null,
+    lastCheckedAt: new Date().toISOString(),
+    unhealthyUntil: null,
+  });
+}
+
+/**
+ * Record a failure and take the endpoint out of rotation for the cooldown
+ * @param {string} endpoint - Browserless endpoint
+ * @param {string} message - Error message
+ */
+function markUnhealthy(endpoint, message) {
+  const previous = endpointHealth.get(endpoint);
+  endpointHealth.set(endpoint, {
+    healthy: false,
+    failures: (previous?.failures || 0) + 1,
+    lastError: message,
+    lastCheckedAt: new Date().toISOString(),
+    unhealthyUntil: Date.now() + config.browserless.failoverCooldownMs,
+  });
+}
+
+/**
+ * Whether an endpoint is currently in its failure cooldown
+ * @param {string} endpoint - Browserless endpoint
+ * @returns {boolean}
+ */
+function isCoolingDown(endpoint) {
+  const health = endpointHealth.get(endpoint);
+  return !!health?.unhealthyUntil && health.unhealthyUntil > Date.now();
+}
+
+/**
+ * Get endpoints in the order they should be tried
+ * Healthy endpoints keep their configured order; endpoints in cooldown are
+ * tried last, soonest-to-recover first, so a capture never has nowhere to go.
+ * @returns {Array<string>} Ordered endpoints
+ */
+export function getBrowserlessEndpoints() {
+  const endpoints = config.browserless.endpoints;
+  const available = endpoints.filter((e) => !isCoolingDown(e));
+  const coolingDown = endpoints
+    .filter((e) => isCoolingDown(e))
+    .sort((a, b) => endpointHealth.get(a).unhealthyUntil - endpointHealth.get(b).unhealthyUntil);
+
+  return [...available, ...coolingDown];
+}
+
+/**
+ * Whether a connection error means "try another region"
+ * Refused/unreachable hosts and concurrency limits (429) are regional;
+ * anything else (e.g. an invalid token) would fail everywhere.
+ * @param {Error} error - Connection error
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+  return /ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|\b429\b|\b502\b|\b503\b|too many requests|concurren|queue is full/i.test(
+    error.message
+  );
+}
+
+/**
+ * Connect to Browserless.io and return a browser instance
+ * Tries each configured endpoint in turn (see getBrowserlessEndpoints).
+ * @param {Object} options - Connection options
+ * @param {boolean} options.record - Enable video recording
+ * @returns {Promise<Browser>} Puppeteer browser instance
+ */
+export async function connectToBrowserless({ record = false } = {}) {
+  const failures = [];
+
+  for (const endpoint of getBrowserlessEndpoints()) {
+    const url = new URL(toWebSocketUrl(endpoint));
+    url.searchParams.set('token', config.browserless.apiKey);
+
+    if (record) {
+      // Add recording parameters for screencast
+      url.searchParams.set('headless', 'false');
+      url.searchParams.set('record', 'true');
+    }
+
+    try {
+      const browser = await puppeteer.connect({
+        browserWSEndpoint: url.toString(),
+        protocolTimeout: 120000, // 2 minute timeout for CDP commands
+      });
+
+      markHealthy(endpoint);
+      return browser;
+    } catch (error) {
+      if (!isFailoverError(error)) {
+        throw error;
+      }
+
+      markUnhealthy(endpoint, error.message);
+      failures.push(`${endpoint}: ${error.message}`);
+      console.log(`  Browserless endpoint ${endpoint} unavailable (${error.message}), trying next...`);
+    }
+  }
+
+  throw new Error(`All Browserless endpoints failed:\n${failures.join('\n')}`);
+}
+
+/**
+ * Actively health-check every configured endpoint
+ * Uses the Browserless /pressure API; endpoints that are unreachable or
+ * report no capacity are put into cooldown so captures skip them.
+ * @returns {Promise<Array<Object>>} Health per endpoint
+ */
+export async function checkBrowserlessEndpoints() {
+  await Promise.all(
+    config.browserless.endpoints.map(async (endpoint) => {
+      try {
+        const response = await fetch(`${endpoint}/pressure?token=${config.browserless.apiKey}`, {
+          signal: AbortSignal.timeout(10000),
+        });
+
+        if (!response.ok) {
+          markUnhealthy(endpoint, `Health check failed (${response.status})`);
+          return;
+        }
+
+        const { pressure } = await response.json();
+        if (pressure && pressure.isAvailable === false) {
+          markUnhealthy(endpoint, pressure.reason || 'No capacity available');
+        } else {
+          markHealthy(endpoint);
+        }
+      } catch (error) {
+        markUnhealthy(endpoint, error.message);
+      }
+    })
+  );
+
+  return getBrowserlessEndpointHealth();
+}
+
+/**
+ * Get the last known health of each configured endpoint
+ * @returns {Array<Object>} Health per endpoint, in configured order
+ */
+export function getBrowserlessEndpointHealth() {
+  return config.browserless.endpoints.map((endpoint) => {
+    const health = endpointHealth.get(endpoint);
+    return {
+      endpoint,
+      healthy: health ? !isCoolingDown(endpoint) : null, // null = not checked yet
+      failures: health?.failures || 0,
+      lastError: health?.lastError || null,
+      lastCheckedAt: health?.lastCheckedAt || null,
+    };
+  });
+}
+
+/**
+ * Create a recorder for a page
+ * @param {Page} page - Puppeteer page
+ * @param {CDPSession} client - CDP session for the page
+ * @returns {Object} Recorder with start(), stop() and abort()
+ */
+function createRecorder(page, client) {
+  return {
+    async start() {
+      await client.send('Browserless.startRecording');
+    },
+
+    async stop() {
+      const response = await client.send('Browserless.stopRecording');
+      // The response contains video data in Latin-1 encoding
+      return Buffer.from(response.value, 'latin1');
+    },
+
+    // Closing the browser ends the Browserless session and its recording
+    async abort() {},
+  };
+}
+
+export default {
+  name: 'browserless',
+  connect: connectToBrowserless,
+  createRecorder,
+};
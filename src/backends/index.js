@@ -0,0 +1,40 @@
+/**
+ * Browser backends
+ *
+ * A backend provides the browser a capture runs in and the way it is
+ * recorded:
+ * - connect({ record, width, height }) -> Promise<Browser>
+ * - createRecorder(page, client, { width, height }) -> { start, stop, abort }
+ *   where stop() resolves to a WebM Buffer
+ *
+ * Selected with BROWSER_BACKEND (default: browserless).
+ */
+
+import { config } from '../config.js';
+import browserless from './browserless.js';
+import localChrome from './local-chrome.js';
+
+const backends = {
+  [browserless.name]: browserless,
+  [localChrome.name]: localChrome,
+};
+
+/**
+ * Get a browser backend by name
+ * @param {string} name - Backend name ('browserless' or 'local')
+ * @returns {Object} Backend implementation
+ */
+export function getBrowserBackend(name = config.browser.backend) {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown browser backend "${name}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return backend;
+}
+
+export {
+  connectToBrowserless,
+  getBrowserlessEndpoints,
+  checkBrowserlessEndpoints,
+  getBrowserlessEndpointHealth,
+} from './browserless.js';
@@ -0,0 +1,148 @@
+/**
+ * Local Chrome/Chromium browser backend
+ *
+ * Launches a browser on this machine via puppeteer-core and records the
+ * page with CDP Page.startScreencast. Screencast frames only arrive when
+ * the page repaints, so the latest frame is re-sent to ffmpeg at a fixed
+ * rate to produce a constant-frame-rate WebM.
+ *
+ * Requires CHROME_PATH (puppeteer-core ships no browser) and ffmpeg.
+ */
+
+import { spawn } from 'child_process';
+import puppeteer from 'puppeteer-core';
+import { config } from '../config.js';
+
+/**
+ * Launch a local Chrome/Chromium instance
+ * @param {Object} options - Launch options
+ * @param {number} options.width - Window width
+ * @param {number} options.height - Window height
+ * @returns {Promise<Browser>} Puppeteer browser instance
+ */
+async function launchLocalChrome({ width = 1920, height = 1080 } = {}) {
+  if (!config.browser.chromePath) {
+    throw new Error('CHROME_PATH is required for the local browser backend');
+  }
+
+  return puppeteer.launch({
+    executablePath: config.browser.chromePath,
+    headless: config.browser.headless ? 'new' : false,
+    protocolTimeout: 120000, // 2 minute timeout for CDP commands
+    args: [
+      '--no-sandbox',
+      '--disable-dev-shm-usage',
+      `--window-size=${width},${height}`,
+    ],
+  });
+}
+
+/**
+ * Create a screencast recorder for a page
+ * @param {Page} page - Puppeteer page
+ * @param {CDPSession} client - CDP session for the page
+ * @param {Object} options - Recorder options
+ * @param {number} options.width - Max frame width
+ * @param {number} options.height - Max frame height
+ * @returns {Object} Recorder with start(), stop() and abort()
+ */
+function createRecorder(page, client, { width = 1920, height = 1080 } = {}) {
+  const fps = config.browser.screencastFps;
+  const chunks = [];
+  let ffmpeg = null;
+  let finished = null;
+  let frameTimer = null;
+  let latestFrame = null;
+  let draining = false; // ffmpeg's stdin is full: drop frames until it drains
+  let droppedFrames = 0;
+
+  const onFrame = async ({ data, sessionId }) => {
+    latestFrame = Buffer.from(data, 'base64');
+    await client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+  };
+
+  const stopFrames = async () => {
+    clearInterval(frameTimer);
+    client.off('Page.screencastFrame', onFrame);
+    await client.send('Page.stopScreencast').catch(() => {});
+  };
+
+  return {
+    async start() {
+      ffmpeg = spawn(config.media.ffmpegPath, [
+        '-loglevel', 'error',
+        '-f', 'image2pipe',
+        '-framerate', String(fps),
+        '-c:v', 'mjpeg',
+        '-i', '-',
+        '-c:v', 'libvpx',
+        '-b:v', '2M',
+        '-deadline', 'realtime',
+        '-cpu-used', '8',
+        '-pix_fmt', 'yuv420p',
+        '-f', 'webm',
+        'pipe:1',
+      ]);
+
+      let stderr = '';
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+      // ffmpeg's exit code fails the recording; this says why the pipe broke
+      ffmpeg.stdin.on('error', (error) => {
+        console.error(`[LocalChrome] ffmpeg input error: ${error.message}`);
+      });
+      ffmpeg.stdin.on('drain', () => { draining = false; });
+
+      finished = new Promise((resolve, reject) => {
+        ffmpeg.on('error', (error) => {
+          reject(new Error(`Could not run ffmpeg (${config.media.ffmpegPath}): ${error.message}. Install ffmpeg or set FFMPEG_PATH.`));
+        });
+        ffmpeg.on('close', (code) => {
+          if (code === 0) resolve();
+          else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        });
+      });
+      // Surface spawn errors on stop() rather than as an unhandled rejection
+      finished.catch(() => {});
+
+      client.on('Page.screencastFrame', onFrame);
+      await client.send('Page.startScreencast', {
+        format: 'jpeg',
+        quality: 80,
+        maxWidth: width,
+        maxHeight: height,
+      });
+
+      frameTimer = setInterval(() => {
+        if (!latestFrame) return;
+        if (draining) {
+          droppedFrames++;
+          return;
+        }
+        draining = !ffmpeg.stdin.write(latestFrame);
+      }, 1000 / fps);
+    },
+
+    async stop() {
+      await stopFrames();
+      if (droppedFrames > 0) {
+        console.log(`[LocalChrome] Dropped ${droppedFrames} frames while ffmpeg caught up`);
+      }
+      ffmpeg.stdin.end();
+      await finished;
+      return Buffer.concat(chunks);
+    },
+
+    async abort() {
+      if (!ffmpeg) return;
+      await stopFrames();
+      ffmpeg.kill('SIGKILL');
+    },
+  };
+}
+
+export default {
+  name: 'local',
+  connect: launchLocalChrome,
+  createRecorder,
+};
@@ -1,30 +1,82 @@
-import puppeteer from 'puppeteer-core';
 import { config } from './config.js';
 import { parseCookies, checkCookieExpiry } from './cookie-utils.js';
+import { estimatePlaybackMs } from './clarity-api.js';
+import {
+  getBrowserBackend,
+  connectToBrowserless,
+  getBrowserlessEndpoints,
+  checkBrowserlessEndpoints,
+  getBrowserlessEndpointHealth,
+} from './backends/index.js';
+import { acquireBrowserSlot, queueBrowserTask } from './queue-manager.js';
 
 // Re-export cookie utilities for convenience
 export { parseCookies, checkCookieExpiry };
 
+// Re-export for existing callers; the implementation lives in backends/
+export { connectToBrowserless, checkBrowserlessEndpoints, getBrowserlessEndpointHealth };
+
 /**
- * Connect to Browserless.io and return a browser instance
- * @param {Object} options - Connection options
- * @param {boolean} options.record - Enable video recording
- * @returns {Promise<Browser>} Puppeteer browser instance
+ * Build the error thrown when a recording is cancelled
+ * @returns {Error} Error with name 'AbortError'
  */
-export async function connectToBrowserless({ record = false } = {}) {
-  let browserWSEndpoint = `wss://production-sfo.browserless.io?token=${config.browserless.apiKey}`;
+function cancellationError() {
+  const error = new Error('Recording cancelled');
+  error.name = 'AbortError';
+  return error;
+}
 
-  if (record) {
-    // Add recording parameters for screencast
-    browserWSEndpoint += '&headless=false&record=true';
-  }
+/**
+ * Wait for a duration, rejecting early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancellationError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancellationError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
 
-  const browser = await puppeteer.connect({
-    browserWSEndpoint,
-    protocolTimeout: 120000, // 2 minute timeout for CDP commands
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
+}
+
+/**
+ * Playback speeds offered by the Clarity player
+ */
+export const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Validate and normalize player settings from a request or CLI flags
+ * @param {Object} options - Raw options
+ * @param {number|string} options.playbackSpeed - 1, 2, 4 or 8 (also accepts "4x")
+ * @param {boolean|string} options.skipInactivity - Skip inactive periods
+ * @returns {Object} { playbackSpeed, skipInactivity }
+ */
+export function normalizePlaybackOptions({ playbackSpeed = 1, skipInactivity = false } = {}) {
+  const speed = typeof playbackSpeed === 'string'
+    ? Number(playbackSpeed.trim().replace(/x$/i, ''))
+    : playbackSpeed;
+
+  if (!PLAYBACK_SPEEDS.includes(speed)) {
+    throw new Error(`playbackSpeed must be one of ${PLAYBACK_SPEEDS.join(', ')} (got ${playbackSpeed})`);
+  }
 
-  return browser;
+  return {
+    playbackSpeed: speed,
+    skipInactivity: skipInactivity === true || skipInactivity === 'true',
+  };
 }
 
 /**
@@ -34,9 +86,10 @@ export async function connectToBrowserless({ record = false } = {}) {
  * @returns {Promise<Buffer>} Screenshot buffer
  */
 export async function takeScreenshot(url, options = {}) {
-  const apiUrl = `${config.browserless.endpoint}/screenshot?token=${config.browserless.apiKey}`;
+  const apiUrl = `${getBrowserlessEndpoints()[0]}/screenshot?token=${config.browserless.apiKey}`;
 
-  const response = await fetch(apiUrl, {
+  // The REST API opens a browser session too
+  const response = await queueBrowserTask(() => fetch(apiUrl, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -53,7 +106,7 @@ export async function takeScreenshot(url, options = {}) {
         timeout: 30000,
       },
     }),
-  });
+  }), { label: 'screenshot' });
 
   if (!response.ok) {
     const error = await response.text();
@@ -64,17 +117,230 @@ export async function takeScreenshot(url, options = {}) {
 }
 
 /**
- * Record a Clarity session playback using Browserless screencast
- * Uses WebSocket connection with record=true and CDP commands
+ * Read the Clarity player's playback state from the page
+ * Looks at the replay button, the "current / total" time text and the
+ * timeline slider - whichever the player exposes.
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>} { ended, currentMs, totalMs }
+ */
+async function readPlaybackState(page) {
+  return page.evaluate(() => {
+    const parseTime = (text) => {
+      const parts = text.split(':').map(Number);
+      return parts.reduce((total, part) => total * 60 + part, 0) * 1000;
+    };
+    const isVisible = (el) => !!el && el.getClientRects().length > 0;
+
+    // Replay button only appears once playback has finished
+    const replayButton = document.querySelector(
+      'button[aria-label*="Replay" i], button[title*="Replay" i], [data-testid*="replay" i]'
+    );
+
+    // Current-time text, e.g. "04:58 / 05:04"
+    let currentMs = null;
+    let totalMs = null;
+    const timeCandidates = [
+      ...document.querySelectorAll('[class*="time" i], [class*="Time"], [data-testid*="time" i]'),
+      document.body,
+    ];
+    for (const el of timeCandidates) {
+      const match = (el?.innerText || '').match(/((?:\d{1,2}:)?\d{1,2}:\d{2})\s*\/\s*((?:\d{1,2}:)?\d{1,2}:\d{2})/);
+      if (match) {
+        currentMs = parseTime(match[1]);
+        totalMs = parseTime(match[2]);
+        break;
+      }
+    }
+
+    // Timeline progress slider
+    let progress = null;
+    const slider = document.querySelector('[role="slider"][aria-valuenow][aria-valuemax]');
+    if (slider) {
+      const max = parseFloat(slider.getAttribute('aria-valuemax'));
+      const min = parseFloat(slider.getAttribute('aria-valuemin')) || 0;
+      const now = parseFloat(slider.getAttribute('aria-valuenow'));
+      if (max > min) progress = (now - min) / (max - min);
+    }
+
+    const timeEnded = totalMs >= 1000 && currentMs >= totalMs - 1000;
+    const sliderEnded = progress !== null && progress >= 0.999;
+
+    return {
+      ended: isVisible(replayButton) || timeEnded || sliderEnded,
+      currentMs,
+      totalMs,
+    };
+  });
+}
+
+/**
+ * Click the first visible control whose label matches a pattern
+ * Labels checked are the aria-label, title and visible text of the element.
+ * @param {Page} page - Puppeteer page
+ * @param {string} pattern - Regular expression source (matched case-insensitively)
+ * @returns {Promise<boolean>} True if a control was clicked
+ */
+async function clickPlayerControl(page, pattern) {
+  return page.evaluate((source) => {
+    const regex = new RegExp(source, 'i');
+    const controls = document.querySelectorAll(
+      'button, [role="button"], [role="menuitem"], [role="menuitemradio"], [role="option"], [role="radio"], li'
+    );
+
+    for (const el of controls) {
+      const labels = [el.getAttribute('aria-label'), el.getAttribute('title'), el.innerText];
+      if (el.getClientRects().length > 0 && labels.some((label) => label && regex.test(label.trim()))) {
+        el.click();
+        return true;
+      }
+    }
+    return false;
+  }, pattern);
+}
+
+/**
+ * Turn the player's "Skip inactivity" toggle on or off
+ * @param {Page} page - Puppeteer page
+ * @param {boolean} enabled - Desired state
+ * @returns {Promise<boolean|null>} Resulting state, or null if the toggle wasn't found
+ */
+async function setSkipInactivity(page, enabled) {
+  return page.evaluate((desired) => {
+    const candidates = document.querySelectorAll(
+      'label, button, [role="switch"], [role="checkbox"], [role="menuitemcheckbox"]'
+    );
+
+    for (const el of candidates) {
+      const label = [el.getAttribute('aria-label'), el.getAttribute('title'), el.innerText]
+        .filter(Boolean)
+        .join(' ');
+      if (el.getClientRects().length === 0 || !/skip\s*inactiv/i.test(label)) continue;
+
+      const control = el.control ||
+        el.querySelector('input[type="checkbox"], [role="switch"], [role="checkbox"]') ||
+        el;
+      const readState = () => {
+        if (typeof control.checked === 'boolean') return control.checked;
+        const aria = control.getAttribute('aria-checked') ?? control.getAttribute('aria-pressed');
+        return aria === null ? null : aria === 'true';
+      };
+
+      const state = readState();
+      if (state === null) return null;
+      if (state !== desired) control.click();
+      return readState();
+    }
+    return null;
+  }, enabled);
+}
+
+/**
+ * Apply playback speed and skip-inactivity in the Clarity player UI
+ * Controls are tried directly first, then inside the player's settings menu.
+ * Settings that can't be applied are logged and reported back so the
+ * recording budget can be sized for what the player will actually do.
+ * @param {Page} page - Puppeteer page
+ * @param {Object} playback - Requested settings
+ * @param {number} playback.playbackSpeed - 1, 2, 4 or 8
+ * @param {boolean} playback.skipInactivity - Skip inactive periods
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} Applied { playbackSpeed, skipInactivity }
+ */
+async function applyPlaybackSettings(page, { playbackSpeed, skipInactivity }, signal) {
+  const applied = { playbackSpeed: 1, skipInactivity: false };
+  const settingsMenu = '^\\s*(playback\\s*)?settings\\s*$';
+
+  if (playbackSpeed !== 1) {
+    const speedOption = `^\\s*${playbackSpeed}(\\.0+)?\\s*x\\s*$`;
+    const speedMenu = '^\\s*(playback\\s*)?speed|^\\s*\\d+(\\.\\d+)?\\s*x\\s*$';
+
+    let selected = false;
+    for (const menu of [null, settingsMenu]) {
+      if (menu && !(await clickPlayerControl(page, menu))) continue;
+      await sleep(500, signal);
+      if (await clickPlayerControl(page, speedMenu)) {
+        await sleep(500, signal);
+      }
+      if (await clickPlayerControl(page, speedOption)) {
+        selected = true;
+        break;
+      }
+    }
+    await page.keyboard.press('Escape').catch(() => {});
+
+    if (selected) {
+      applied.playbackSpeed = playbackSpeed;
+    } else {
+      console.log(`  ⚠️ Could not set playback speed to ${playbackSpeed}x, recording at 1x`);
+    }
+  }
+
+  let skipState = await setSkipInactivity(page, skipInactivity);
+  if (skipState === null && (await clickPlayerControl(page, settingsMenu))) {
+    await sleep(500, signal);
+    skipState = await setSkipInactivity(page, skipInactivity);
+    await page.keyboard.press('Escape').catch(() => {});
+  }
+
+  if (skipState === null) {
+    if (skipInactivity) {
+      console.log('  ⚠️ Could not find the skip-inactivity toggle, playing inactive periods');
+    }
+  } else {
+    applied.skipInactivity = skipState;
+  }
+
+  return applied;
+}
+
+/**
+ * Wait until the player reports that playback has ended
+ * @param {Page} page - Puppeteer page
+ * @param {Object} options - Wait options
+ * @param {number} options.limitMs - Give up after this long
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @param {number} options.pollMs - Polling interval
+ * @returns {Promise<boolean>} True if playback ended, false if the limit was reached
+ */
+async function waitForPlaybackEnd(page, { limitMs, signal, pollMs = 1000 }) {
+  const deadline = Date.now() + limitMs;
+
+  while (Date.now() < deadline) {
+    await sleep(Math.min(pollMs, deadline - Date.now()), signal);
+
+    const state = await readPlaybackState(page).catch(() => null);
+    if (state?.ended) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Record a Clarity session playback
+ * Runs on the configured browser backend (Browserless.io or local Chrome,
+ * see backends/) - the player handling is identical for both.
  *
  * IMPORTANT: Requires valid Clarity session cookies for authentication.
  * Export cookies from your browser while logged into Clarity.
  *
+ * Recording stops as soon as the player reports the end of playback; the
+ * expected duration (plus a buffer) is only an upper bound.
+ *
  * @param {string} clarityUrl - Clarity player URL
- * @param {number} durationMs - Expected recording duration in milliseconds
+ * @param {number} durationMs - Session duration in milliseconds (at 1x)
  * @param {Object} options - Recording options
  * @param {string|Array} options.clarityCookies - REQUIRED: Clarity session cookies
- * @returns {Promise<Buffer>} WebM video buffer
+ * @param {number} options.activeDurationMs - Active session duration, used with skipInactivity
+ * @param {number} options.playbackSpeed - Player speed: 1, 2, 4 or 8 (default: 1)
+ * @param {boolean} options.skipInactivity - Skip inactive periods in the player
+ * @param {AbortSignal} options.signal - Aborts the recording and closes the browser session
+ * @param {string} options.backend - Browser backend name (default: BROWSER_BACKEND)
+ * @returns {Promise<Object>} { video: WebM Buffer, endReason, recordedMs, playback } where endReason is
+ *          'playback_ended', 'timeout' (expected duration + buffer elapsed) or
+ *          'max_duration' (hit the RECORDING_TIMEOUT_MINUTES cap), and playback holds
+ *          the player settings that were actually applied
  */
 export async function recordClaritySession(clarityUrl, durationMs, options = {}) {
   const {
@@ -83,8 +349,16 @@ export async function recordClaritySession(clarityUrl, durationMs, options = {})
     maxDurationMs = config.processing.recordingTimeoutMinutes * 60 * 1000,
     minDurationMs = 20000, // Minimum 20 seconds for page load + recording
     clarityCookies = null,
+    activeDurationMs = 0,
+    playbackSpeed = 1,
+    skipInactivity = false,
+    signal = null,
+    backend: backendName = config.browser.backend,
   } = options;
 
+  const backend = getBrowserBackend(backendName);
+  const requestedPlayback = normalizePlaybackOptions({ playbackSpeed, skipInactivity });
+
   // Validate cookies are provided
   if (!clarityCookies) {
     throw new Error(
@@ -110,11 +384,38 @@ export async function recordClaritySession(clarityUrl, durationMs, options = {})
     console.log(`  ⚠️ WARNING: Cookies expire in ${expiryInfo.daysRemaining} days (${expiryInfo.expiresAtFormatted})`);
   }
 
+  if (signal?.aborted) {
+    throw cancellationError();
+  }
+
+  // Hold a browser slot for as long as the session is open
+  let releaseSlot;
+  try {
+    releaseSlot = await acquireBrowserSlot({ signal, label: clarityUrl });
+  } catch (error) {
+    throw signal?.aborted ? cancellationError() : error;
+  }
+
   // Connect with recording enabled
-  const browser = await connectToBrowserless({ record: true });
+  let browser;
+  try {
+    browser = await backend.connect({ record: true, width, height });
+  } catch (error) {
+    releaseSlot();
+    throw error;
+  }
+
+  // Closing the browser ends the browser session (and its recording);
+  // any pending CDP call then rejects and we surface the cancellation below
+  const onAbort = () => {
+    console.log('  Recording cancelled, closing browser session...');
+    browser.close().catch(() => {});
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
 
   let page;
   let client;
+  let recorder;
 
   try {
     page = await browser.newPage();
@@ -254,7 +555,14 @@ export async function recordClaritySession(clarityUrl, durationMs, options = {})
     console.log(`  Player loaded: canvas=${playerState.hasCanvas}, timeline=${playerState.hasTimeline}, title="${playerState.pageTitle}"`);
 
     // Additional wait for player initialization
-    await new Promise((resolve) => setTimeout(resolve, 3000));
+    await sleep(3000, signal);
+
+    // Speed and skip-inactivity must be set before the recording starts
+    const playback = await applyPlaybackSettings(page, requestedPlayback, signal);
+    const expectedMs = estimatePlaybackMs({ durationMs, activeDurationMs }, playback);
+    if (playback.playbackSpeed !== 1 || playback.skipInactivity) {
+      console.log(`  Playback: ${playback.playbackSpeed}x, skip inactivity ${playback.skipInactivity ? 'on' : 'off'} (~${Math.ceil(expectedMs / 1000)}s)`);
+    }
 
     // Click play button if needed
     await page.evaluate(() => {
@@ -280,39 +588,55 @@ export async function recordClaritySession(clarityUrl, durationMs, options = {})
     });
 
     // Wait a moment for playback to start
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Start recording using Browserless CDP command
-    console.log('  Starting screen recording...');
-    await client.send('Browserless.startRecording');
-
-    // Calculate recording duration with buffer - ensure minimum duration for short recordings
-    const recordDuration = Math.min(
-      Math.max(durationMs + 15000, minDurationMs), // At least minDuration, or duration + 15s buffer
-      maxDurationMs
-    );
-    console.log(`  Recording for ${Math.ceil(recordDuration / 1000)} seconds...`);
-
-    // Wait for recording duration
-    await new Promise((resolve) => setTimeout(resolve, recordDuration));
+    await sleep(2000, signal);
+
+    // Start recording on the backend
+    console.log(`  Starting screen recording (${backend.name})...`);
+    recorder = backend.createRecorder(page, client, { width, height });
+    await recorder.start();
+
+    // Upper bound for the recording - ensure minimum duration for short recordings
+    const budgetMs = Math.max(expectedMs + 15000, minDurationMs); // At least minDuration, or playback time + 15s buffer
+    const limitMs = Math.min(budgetMs, maxDurationMs);
+    console.log(`  Recording until playback ends (at most ${Math.ceil(limitMs / 1000)} seconds)...`);
+
+    const recordingStartedAt = Date.now();
+    const playbackEnded = await waitForPlaybackEnd(page, { limitMs, signal });
+
+    let endReason;
+    if (playbackEnded) {
+      endReason = 'playback_ended';
+      // Let the final frame render before stopping
+      await sleep(1000, signal);
+    } else {
+      endReason = budgetMs > maxDurationMs ? 'max_duration' : 'timeout';
+    }
+    const recordedMs = Date.now() - recordingStartedAt;
 
     // Stop recording and get video
-    console.log('  Stopping recording...');
-    const response = await client.send('Browserless.stopRecording');
+    console.log(`  Stopping recording after ${Math.round(recordedMs / 1000)}s (${endReason})...`);
+    const videoBuffer = await recorder.stop();
 
+    signal?.removeEventListener('abort', onAbort);
     await browser.close();
-
-    // The response contains video data in Latin-1 encoding
-    // Convert to buffer - response.value contains the binary data
-    const videoData = response.value;
-    return Buffer.from(videoData, 'latin1');
+    releaseSlot();
+
+    return {
+      video: videoBuffer,
+      endReason,
+      recordedMs,
+      playback,
+    };
   } catch (error) {
+    signal?.removeEventListener('abort', onAbort);
+    await recorder?.abort().catch(() => {});
     try {
       await browser.close();
     } catch (closeError) {
       // Ignore close errors
     }
-    throw error;
+    releaseSlot();
+    throw signal?.aborted ? cancellationError() : error;
   }
 }
 
@@ -322,29 +646,35 @@ export async function recordClaritySession(clarityUrl, durationMs, options = {})
  */
 export async function testConnection() {
   const results = {
+    endpoints: [],
     websocket: { success: false, error: null },
     restApi: { success: false, error: null },
   };
 
+  // Health-check every configured endpoint (unhealthy ones are tried last)
+  results.endpoints = await checkBrowserlessEndpoints();
+
   // Test WebSocket connection
   try {
-    const browser = await connectToBrowserless();
-    results.websocket.success = true;
-    await browser.close();
+    await queueBrowserTask(async () => {
+      const browser = await connectToBrowserless();
+      results.websocket.success = true;
+      await browser.close();
+    }, { label: 'connection test' });
   } catch (error) {
     results.websocket.error = error.message;
   }
 
   // Test REST API (scrape)
   try {
-    const response = await fetch(`${config.browserless.endpoint}/scrape?token=${config.browserless.apiKey}`, {
+    const response = await queueBrowserTask(() => fetch(`${getBrowserlessEndpoints()[0]}/scrape?token=${config.browserless.apiKey}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         url: 'https://example.com',
         elements: [{ selector: 'h1' }],
       }),
-    });
+    }), { label: 'connection test' });
 
     if (response.ok) {
       results.restApi.success = true;
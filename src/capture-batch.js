@@ -3,20 +3,33 @@
 /**
  * Batch capture multiple Clarity recordings with parallel processing
  * Run with: npm run capture:batch -- --cookies <path-to-cookies.json>
+ *
+ * The CLI keeps a manifest in the output directory as it goes (every
+ * recording with its status, location and error), so a run that dies
+ * halfway can be picked up with --resume <manifest>.
  */
 
 import pLimit from 'p-limit';
 import { config, validateConfig } from './config.js';
-import { fetchSessionRecordings, parseDuration } from './clarity-api.js';
-import { recordClaritySession } from './browserless.js';
+import { iterateSessionRecordings, parseDuration, resolveDateRange } from './clarity-api.js';
+import { recordClaritySession, normalizePlaybackOptions } from './browserless.js';
+import { parseRecordingFilters } from './recording-filters.js';
 import { uploadRecording } from './google-drive.js';
-import { queueBrowserTask, createJob, updateJob } from './queue-manager.js';
+import { postProcessRecording, normalizeOutputFormat, saveRecording } from './post-process.js';
+import { getCookieSet } from './cookie-vault.js';
+import { findCapture, recordCapture, toSkippedResult } from './capture-ledger.js';
+import { createJob, updateJob } from './queue-manager.js';
 import * as fs from 'fs';
 import * as path from 'path';
 
 // Default cookies file path
 const DEFAULT_COOKIES_PATH = path.join(process.cwd(), 'clarity-cookies.json');
 
+const MANIFEST_VERSION = 1;
+
+// Manifest entries captured (again) on resume; 'capturing' means the run died mid-capture
+const RETRY_STATUSES = ['pending', 'capturing', 'failed'];
+
 /**
  * Load cookies from file
  * @param {string} cookiesPath - Path to cookies file
@@ -34,6 +47,28 @@ function loadCookiesFromFile(cookiesPath) {
   return null;
 }
 
+/**
+ * Load cookies from the encrypted vault, exiting if the set can't be read
+ * @param {string} name - Cookie set name
+ * @returns {Array} Cookies
+ */
+function loadCookiesFromVault(name) {
+  let cookies;
+  try {
+    cookies = getCookieSet(name);
+  } catch (error) {
+    console.error(`\nERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!cookies) {
+    console.error(`\nERROR: No cookie set named "${name}" in the vault`);
+    console.error('Import one with: npm run cookies:vault -- import <name> <export-file>');
+    process.exit(1);
+  }
+  return cookies;
+}
+
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn - Function to retry
@@ -62,17 +97,107 @@ async function withRetry(fn, maxAttempts = 3) {
   throw lastError;
 }
 
+/**
+ * Read a batch manifest
+ * @param {string} manifestPath - Manifest file
+ * @returns {Object} Manifest { version, createdAt, updatedAt, options, fetchComplete, recordings }
+ */
+export function readBatchManifest(manifestPath) {
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.recordings)) {
+    throw new Error(`${manifestPath} is not a batch manifest (version ${MANIFEST_VERSION})`);
+  }
+  return manifest;
+}
+
+/**
+ * Write a batch manifest atomically, so a crash never leaves it half-written
+ * @param {string} manifestPath - Manifest file
+ * @param {Object} manifest - Manifest
+ */
+function writeBatchManifest(manifestPath, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+/**
+ * Build a manifest entry for a newly found recording
+ * @param {Object} recording - Recording from the Clarity API
+ * @returns {Object} Entry with status 'pending'
+ */
+function toManifestEntry(recording) {
+  return {
+    sessionId: recording.sessionId,
+    playbackUrl: recording.playbackUrl,
+    timestamp: recording.timestamp,
+    totalDuration: recording.totalDuration,
+    activeDuration: recording.activeDuration,
+    ...(recording.timeline ? { timeline: recording.timeline } : {}), // For the timeline tracks on resume
+    status: 'pending',
+    attempts: 0,
+  };
+}
+
+/**
+ * Copy a capture result onto its manifest entry
+ * @param {Object} entry - Manifest entry
+ * @param {Object} result - Result from processRecording
+ */
+function applyResultToEntry(entry, result) {
+  entry.status = result.skipped ? 'skipped' : result.success ? 'completed' : 'failed';
+  entry.attempts++;
+  for (const key of ['location', 'path', 'fileId', 'webViewLink', 'format', 'previews', 'tracks', 'endReason', 'error']) {
+    if (result[key] !== undefined) {
+      entry[key] = result[key];
+    } else {
+      delete entry[key];
+    }
+  }
+  entry.finishedAt = new Date().toISOString();
+}
+
+/**
+ * Rebuild the result of a recording finished in an earlier run
+ * @param {Object} entry - Manifest entry with status 'completed' or 'skipped'
+ * @returns {Object} Result like processRecording's
+ */
+function entryToResult(entry) {
+  const { sessionId, status, location, path: localPath, fileId, webViewLink, format, previews, tracks, endReason } = entry;
+  return {
+    success: true,
+    ...(status === 'skipped' ? { skipped: true } : {}),
+    sessionId,
+    location,
+    ...(localPath ? { path: localPath } : {}),
+    ...(fileId ? { fileId, webViewLink } : {}),
+    ...(format ? { format } : {}),
+    ...(previews ? { previews } : {}),
+    ...(tracks ? { tracks } : {}),
+    endReason,
+  };
+}
+
 /**
  * Process a single recording (used in parallel)
  * @param {Object} recording - Recording info
  * @param {number} index - Recording index
- * @param {number} total - Total recordings
+ * @param {number|null} total - Total recordings (null while still being fetched)
  * @param {Object} options - Processing options
  * @returns {Promise<Object>} Processing result
  */
 async function processRecording(recording, index, total, options) {
-  const { uploadToGdrive, outputDir, clarityCookies } = options;
-  const progress = `[${index + 1}/${total}]`;
+  const { uploadToGdrive, outputDir, clarityCookies, playbackSpeed, skipInactivity, format, trim, force, projectId, jobId } = options;
+  const progress = `[${index + 1}/${total ?? '?'}]`;
+
+  if (!force) {
+    const existing = findCapture(recording, projectId);
+    if (existing) {
+      console.log(`${progress} Skipping ${recording.sessionId}: already captured ${existing.capturedAt} (${existing.location})`);
+      return toSkippedResult(existing);
+    }
+  }
 
   console.log(`${progress} Starting: ${recording.sessionId}`);
   console.log(`  Duration: ${recording.totalDuration}`);
@@ -83,21 +208,33 @@ async function processRecording(recording, index, total, options) {
     const durationMs = parseDuration(recording.totalDuration) || 5 * 60 * 1000;
 
     // Capture with retry (pass cookies for authentication)
-    const videoBuffer = await withRetry(async () => {
+    const { video: videoBuffer, endReason, playback } = await withRetry(async () => {
       return recordClaritySession(recording.playbackUrl, durationMs, {
         clarityCookies,
+        activeDurationMs: parseDuration(recording.activeDuration),
+        playbackSpeed,
+        skipInactivity,
       });
     }, config.processing.retryAttempts);
 
-    console.log(`${progress} Captured: ${recording.sessionId} (${videoBuffer.byteLength} bytes)`);
+    console.log(`${progress} Captured: ${recording.sessionId} (${videoBuffer.byteLength} bytes, ${endReason})`);
+
+    const processed = await postProcessRecording(videoBuffer, {
+      format,
+      trim,
+      recording,
+      playback,
+      label: recording.sessionId,
+    });
 
     // Upload or save
     let result;
     if (uploadToGdrive) {
       const uploadResult = await uploadRecording(
-        Buffer.from(videoBuffer),
+        processed.video,
         recording.sessionId,
-        new Date(recording.timestamp)
+        new Date(recording.timestamp),
+        { format: processed.details.format, previews: processed.previews, tracks: processed.tracks }
       );
       result = {
         success: true,
@@ -105,20 +242,29 @@ async function processRecording(recording, index, total, options) {
         location: 'google-drive',
         fileId: uploadResult.fileId,
         webViewLink: uploadResult.webViewLink,
+        ...(uploadResult.previews ? { previews: uploadResult.previews } : {}),
+        ...(uploadResult.tracks ? { tracks: uploadResult.tracks } : {}),
+        endReason,
+        ...processed.details,
       };
       console.log(`${progress} ✓ Uploaded: ${recording.sessionId}`);
     } else {
-      const localPath = path.join(outputDir, `${recording.sessionId}.webm`);
-      fs.writeFileSync(localPath, Buffer.from(videoBuffer));
+      const localPath = path.join(outputDir, `${recording.sessionId}.${processed.extension}`);
+      const { previews, tracks } = saveRecording(processed, localPath);
       result = {
         success: true,
         sessionId: recording.sessionId,
         location: 'local',
         path: localPath,
+        ...(previews ? { previews } : {}),
+        ...(tracks ? { tracks } : {}),
+        endReason,
+        ...processed.details,
       };
       console.log(`${progress} ✓ Saved: ${recording.sessionId}`);
     }
 
+    recordCapture(recording, result, { projectId, jobId });
     return result;
   } catch (error) {
     console.log(`${progress} ✗ Failed: ${recording.sessionId} - ${error.message}`);
@@ -132,126 +278,198 @@ async function processRecording(recording, index, total, options) {
 
 /**
  * Capture multiple recordings in batch with parallel processing
+ * Recordings are fetched page by page and captured as they arrive, so
+ * maxCount isn't limited to the API's 250 recordings per request.
  * @param {Object} options - Batch options
  * @param {Date} options.startDate - Start date for recordings
  * @param {Date} options.endDate - End date for recordings
+ * @param {Object} options.filters - Normalized recording filters (see recording-filters.js)
  * @param {number} options.maxCount - Maximum recordings to process
  * @param {number} options.maxConcurrent - Maximum concurrent recordings (default: from config)
  * @param {boolean} options.uploadToGdrive - Upload to Google Drive
  * @param {string} options.outputDir - Local output directory
  * @param {string|Array} options.clarityCookies - Browser session cookies for authentication
- * @param {boolean} options.useGlobalQueue - Use global queue (true for server, false for CLI)
+ * @param {number} options.playbackSpeed - Player speed: 1, 2, 4 or 8 (default: 1)
+ * @param {boolean} options.skipInactivity - Skip inactive periods in the player
+ * @param {string} options.format - Stored video format, 'webm' or 'mp4' (default: OUTPUT_FORMAT)
+ * @param {boolean} options.trim - Cut static lead-in and tail frames (default: TRIM_RECORDINGS)
+ * @param {Object} options.client - Clarity client (default: configured credentials)
+ * @param {boolean} options.useGlobalQueue - Track the run as a job in the global queue (true for server, false for CLI)
  * @param {string} options.jobId - Job ID for tracking (auto-created if useGlobalQueue)
- * @returns {Promise<Object>} Batch results
+ * @param {boolean} options.force - Capture recordings again even if the capture ledger already has them
+ * @param {string} options.manifestPath - Keep a manifest of every recording's status in this file
+ * @param {boolean} options.resume - Carry on from the manifest at manifestPath: only its pending and
+ *        failed recordings are captured (and the recording list is finished if the fetch was cut short)
+ * @param {Object} options.manifestOptions - Extra settings stored in a new manifest (e.g. the cookie set name)
+ * @returns {Promise<Object>} Batch results (already-captured recordings count as successes, with skipped: true)
  */
 export async function captureBatch({
   startDate,
   endDate,
+  filters = {},
   maxCount = config.processing.maxRecordingsPerBatch,
   maxConcurrent = config.processing.maxConcurrent,
   uploadToGdrive = false,
   outputDir = './recordings',
   clarityCookies,
+  playbackSpeed = 1,
+  skipInactivity = false,
+  format = config.media.outputFormat,
+  trim = config.media.trim,
+  client,
   useGlobalQueue = false,
   jobId = null,
+  force = false,
+  manifestPath = null,
+  resume = false,
+  manifestOptions = {},
 } = {}) {
   console.log('Starting batch capture...\n');
   console.log(`Concurrency: ${maxConcurrent} parallel recordings`);
-  console.log(`Queue mode: ${useGlobalQueue ? 'GLOBAL (shared across all requests)' : 'LOCAL (this request only)'}\n`);
+  console.log(`Job tracking: ${useGlobalQueue ? 'GLOBAL (visible in the job queue)' : 'LOCAL (this request only)'}\n`);
 
-  // Fetch recordings
-  console.log('Fetching session recordings...');
-  const recordings = await fetchSessionRecordings({
-    startDate,
-    endDate,
-    count: maxCount,
-  });
+  // Create job for tracking if using global queue
+  if (useGlobalQueue && !jobId) {
+    jobId = createJob({ outputDir }).id;
+    console.log(`Job created: ${jobId}\n`);
+  }
 
-  console.log(`Found ${recordings.length} recordings\n`);
+  if (useGlobalQueue && jobId) {
+    updateJob(jobId, {
+      status: 'processing',
+      startedAt: new Date().toISOString(),
+    });
+  }
 
-  if (recordings.length === 0) {
-    return {
-      total: 0,
-      success: 0,
-      failed: 0,
-      results: [],
-      jobId: null,
+  const processOptions = {
+    uploadToGdrive,
+    outputDir,
+    clarityCookies,
+    playbackSpeed,
+    skipInactivity,
+    format: normalizeOutputFormat(format),
+    trim: trim !== false,
+    force,
+    projectId: client?.projectId,
+    jobId,
+  };
+
+  // Limits this batch only; each capture also waits for one of the process-wide
+  // browser slots (see acquireBrowserSlot in queue-manager.js)
+  const limit = pLimit(maxConcurrent);
+
+  // The manifest pins the date range, so a resumed run fetches the same window
+  let manifest = null;
+  if (resume) {
+    manifest = readBatchManifest(manifestPath);
+  } else if (manifestPath) {
+    const range = resolveDateRange({ startDate, endDate });
+    manifest = {
+      version: MANIFEST_VERSION,
+      createdAt: new Date().toISOString(),
+      options: {
+        ...manifestOptions,
+        startDate: range.startDate.toISOString(),
+        endDate: range.endDate.toISOString(),
+        maxCount,
+        filters,
+        uploadToGdrive,
+        outputDir,
+        playbackSpeed,
+        skipInactivity,
+        format: processOptions.format,
+        trim: processOptions.trim,
+      },
+      fetchComplete: false,
+      recordings: [],
     };
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    writeBatchManifest(manifestPath, manifest);
   }
+  const saveManifest = () => {
+    if (manifest) writeBatchManifest(manifestPath, manifest);
+  };
 
-  // Create output directory if saving locally
-  if (!uploadToGdrive && !fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
+  const schedule = (recording, index, entry = null) => limit(async () => {
+    if (entry) {
+      entry.status = 'capturing';
+      saveManifest();
+    }
+    const result = await processRecording(recording, index, null, processOptions);
+    if (entry) {
+      applyResultToEntry(entry, result);
+      saveManifest();
+    }
+    return result;
+  });
 
-  // Create job for tracking if using global queue
-  if (useGlobalQueue && !jobId) {
-    jobId = createJob({ recordingsCount: recordings.length });
-    console.log(`Job created: ${jobId}\n`);
-  }
+  const promises = [];
 
-  let results;
+  if (resume) {
+    const retrying = manifest.recordings.filter((entry) => RETRY_STATUSES.includes(entry.status));
+    console.log(`Resuming ${manifestPath}: ${retrying.length} to capture, ${manifest.recordings.length - retrying.length} already done`);
 
-  if (useGlobalQueue) {
-    // Use global queue - respects limits across ALL concurrent API requests
-    if (jobId) {
-      updateJob(jobId, {
-        status: 'processing',
-        startedAt: new Date().toISOString(),
-        recordingsTotal: recordings.length,
-      });
+    for (const entry of manifest.recordings) {
+      promises.push(RETRY_STATUSES.includes(entry.status)
+        ? schedule(entry, promises.length, entry)
+        : Promise.resolve(entryToResult(entry)));
     }
+  }
 
-    const promises = recordings.map((recording, index) =>
-      queueBrowserTask(
-        () =>
-          processRecording(recording, index, recordings.length, {
-            uploadToGdrive,
-            outputDir,
-            clarityCookies,
-          }),
-        { jobId, recordingId: recording.sessionId }
-      ).catch((error) => ({
-        success: false,
-        sessionId: recording.sessionId,
-        error: error.message,
-      }))
-    );
+  if (!manifest?.fetchComplete) {
+    // Fetch recordings page by page, starting captures as they arrive
+    console.log('Fetching session recordings...');
+    const known = new Set(manifest?.recordings.map((entry) => entry.sessionId));
+    const query = manifest
+      ? { startDate: manifest.options.startDate, endDate: manifest.options.endDate }
+      : { startDate, endDate };
 
-    results = await Promise.all(promises);
+    for await (const recording of iterateSessionRecordings({ ...query, count: maxCount, filters, client })) {
+      if (known.has(recording.sessionId)) continue;
 
-    if (jobId) {
-      updateJob(jobId, {
-        status: 'completed',
-        completedAt: new Date().toISOString(),
-        results,
-      });
+      // Create output directory if saving locally
+      if (promises.length === 0 && !uploadToGdrive && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+
+      let entry = null;
+      if (manifest) {
+        entry = toManifestEntry(recording);
+        manifest.recordings.push(entry);
+        saveManifest();
+      }
+      promises.push(schedule(recording, promises.length, entry));
     }
-  } else {
-    // Use local limiter - only limits within THIS request (CLI mode)
-    const limit = pLimit(maxConcurrent);
-
-    const promises = recordings.map((recording, index) =>
-      limit(() =>
-        processRecording(recording, index, recordings.length, {
-          uploadToGdrive,
-          outputDir,
-          clarityCookies,
-        })
-      )
-    );
-
-    results = await Promise.all(promises);
+
+    if (manifest) {
+      manifest.fetchComplete = true;
+      saveManifest();
+    }
+  }
+
+  console.log(`Found ${promises.length} recordings\n`);
+
+  const results = await Promise.all(promises);
+
+  if (useGlobalQueue && jobId) {
+    updateJob(jobId, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      recordingsTotal: results.length,
+      results,
+    });
   }
 
   // Count successes and failures
   const successCount = results.filter((r) => r.success).length;
   const failedCount = results.filter((r) => !r.success).length;
+  const skippedCount = results.filter((r) => r.skipped).length;
 
   return {
-    total: recordings.length,
+    total: results.length,
     success: successCount,
     failed: failedCount,
+    skipped: skippedCount,
     results,
     jobId,
   };
@@ -269,6 +487,16 @@ async function main() {
   let uploadToGdrive = false;
   let outputDir = './recordings';
   let cookiesPath = DEFAULT_COOKIES_PATH;
+  let cookieSet = null;
+  let playbackSpeed = 1;
+  let skipInactivity = false;
+  let format = config.media.outputFormat;
+  let trim = config.media.trim;
+  let force = false;
+  let manifestPath = null;
+  let resumePath = null;
+  const filterArgs = {};
+  let filters;
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -299,6 +527,72 @@ async function main() {
       case '-c':
         cookiesPath = args[++i];
         break;
+      case '--cookie-set':
+        cookieSet = args[++i];
+        break;
+      case '--speed':
+        playbackSpeed = args[++i];
+        break;
+      case '--skip-inactivity':
+        skipInactivity = true;
+        break;
+      case '--format':
+        format = args[++i];
+        break;
+      case '--no-trim':
+        trim = false;
+        break;
+      case '--force':
+        force = true;
+        break;
+      case '--manifest':
+        manifestPath = args[++i];
+        break;
+      case '--resume':
+        resumePath = args[++i];
+        break;
+      case '--device':
+        filterArgs.deviceType = args[++i];
+        break;
+      case '--browser':
+        filterArgs.browser = args[++i];
+        break;
+      case '--os':
+        filterArgs.os = args[++i];
+        break;
+      case '--country':
+        filterArgs.country = args[++i];
+        break;
+      case '--entry-url':
+        filterArgs.entryUrlContains = args[++i];
+        break;
+      case '--visited-url':
+        filterArgs.visitedUrlContains = args[++i];
+        break;
+      case '--min-duration':
+        filterArgs.minDurationSeconds = args[++i];
+        break;
+      case '--max-duration':
+        filterArgs.maxDurationSeconds = args[++i];
+        break;
+      case '--min-clicks':
+        filterArgs.minClicks = args[++i];
+        break;
+      case '--rage-clicks':
+        filterArgs.hasRageClicks = true;
+        break;
+      case '--no-rage-clicks':
+        filterArgs.hasRageClicks = false;
+        break;
+      case '--dead-clicks':
+        filterArgs.hasDeadClicks = true;
+        break;
+      case '--no-dead-clicks':
+        filterArgs.hasDeadClicks = false;
+        break;
+      case '--session-ids':
+        filterArgs.sessionIds = args[++i];
+        break;
       case '--help':
       case '-h':
         console.log(`
@@ -314,16 +608,53 @@ Options:
   --upload, -g            Upload to Google Drive instead of saving locally
   --output, -o <dir>      Local output directory (default: ./recordings)
   --cookies, -c <path>    Path to cookies JSON file (default: ./clarity-cookies.json)
+  --cookie-set <name>     Use a cookie set from the encrypted vault instead of a file
+  --speed <1|2|4|8>       Player playback speed (default: 1)
+  --skip-inactivity       Skip inactive periods in the player
+  --format <webm|mp4>     Stored video format; mp4 is transcoded with ffmpeg (default: ${config.media.outputFormat})
+  --no-trim               Keep the static lead-in and tail frames${config.media.trim ? '' : ' (the default: TRIM_RECORDINGS=false)'}
+  --force                 Capture again even if recordings were captured before
+  --manifest <path>       Where to write the batch manifest (default: <output>/manifest-<time>.json)
+  --resume <manifest>     Retry only the pending and failed recordings of an earlier run
   --help, -h              Show this help message
 
+Filters:
+  --device <list>         Device types, comma-separated (PC, Mobile, Tablet, Other)
+  --browser <list>        Browsers, comma-separated (e.g. Chrome,Safari)
+  --os <list>             Operating systems, comma-separated
+  --country <list>        Countries, comma-separated
+  --entry-url <text>      Entry URL contains text
+  --visited-url <text>    Any visited URL contains text
+  --min-duration <sec>    Minimum session duration in seconds
+  --max-duration <sec>    Maximum session duration in seconds
+  --min-clicks <num>      Minimum number of clicks
+  --rage-clicks           Only sessions with rage clicks (--no-rage-clicks to exclude them)
+  --dead-clicks           Only sessions with dead clicks (--no-dead-clicks to exclude them)
+  --session-ids <list>    Only these session IDs, comma-separated
+
 IMPORTANT: Clarity session cookies are REQUIRED for authentication.
 Export cookies using a browser extension (like EditThisCookie) while logged into Clarity.
 
+Recordings already in the capture ledger ($DATA_DIR/captures.jsonl) are
+skipped, so re-running a date range only captures what's new. Use --force
+to capture everything again.
+
+Every run writes a manifest listing each recording with its status, output
+path or Drive link and error. If a run dies or some recordings fail, rerun
+with --resume <manifest> to capture just those; the date range, filters,
+destination and cookie set come from the manifest (--cookies, --cookie-set,
+--concurrent and --force can still be given).
+
 Examples:
+  npm run capture:batch -- --cookie-set acme --count 10
   npm run capture:batch -- --cookies cookies.json
   npm run capture:batch -- --count 10 --concurrent 2 -c cookies.json
   npm run capture:batch -- --start 2025-01-15 --end 2025-01-19 --upload -c cookies.json
   npm run capture:batch -- --count 50 -g --concurrent 3 --cookies my-cookies.json
+  npm run capture:batch -- --count 20 --speed 8 --skip-inactivity -c cookies.json
+  npm run capture:batch -- --count 10 --format mp4 --upload -c cookies.json
+  npm run capture:batch -- --device Mobile --rage-clicks --min-duration 60 -c cookies.json
+  npm run capture:batch -- --resume recordings/manifest-2025-01-20T09-30-00-000Z.json
 `);
         process.exit(0);
     }
@@ -335,43 +666,82 @@ Examples:
 
   try {
     validateConfig();
+
+    if (resumePath) {
+      // Everything that decides which recordings are captured, and where, comes from the manifest
+      const { options } = readBatchManifest(resumePath);
+      ({ startDate, endDate, maxCount, filters, uploadToGdrive, outputDir, playbackSpeed, skipInactivity, format, trim } = options);
+      if (options.cookieSet && !cookieSet && !args.some((arg) => arg === '--cookies' || arg === '-c')) {
+        cookieSet = options.cookieSet;
+      }
+      manifestPath = resumePath;
+    } else {
+      ({ playbackSpeed, skipInactivity } = normalizePlaybackOptions({ playbackSpeed, skipInactivity }));
+      format = normalizeOutputFormat(format);
+      filters = parseRecordingFilters(filterArgs);
+      manifestPath = manifestPath
+        || path.join(outputDir, `manifest-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    }
   } catch (error) {
     console.error('Configuration error:', error.message);
     process.exit(1);
   }
 
-  // Load cookies
-  const clarityCookies = loadCookiesFromFile(cookiesPath);
-
-  if (!clarityCookies) {
-    console.error(`\nERROR: Could not load cookies from ${cookiesPath}`);
-    console.error('');
-    console.error('Clarity requires browser session cookies for authentication.');
-    console.error('Please export your cookies while logged into Clarity:');
-    console.error('  1. Install a cookie export extension (e.g., EditThisCookie)');
-    console.error('  2. Log into clarity.microsoft.com');
-    console.error('  3. Export cookies as JSON to clarity-cookies.json');
-    console.error('  4. Run this command again');
-    process.exit(1);
+  // Load cookies from the vault or a file
+  let clarityCookies;
+
+  if (cookieSet) {
+    clarityCookies = loadCookiesFromVault(cookieSet);
+    console.log(`Loaded cookie set: ${cookieSet}`);
+  } else {
+    clarityCookies = loadCookiesFromFile(cookiesPath);
+
+    if (!clarityCookies) {
+      console.error(`\nERROR: Could not load cookies from ${cookiesPath}`);
+      console.error('');
+      console.error('Clarity requires browser session cookies for authentication.');
+      console.error('Please export your cookies while logged into Clarity:');
+      console.error('  1. Install a cookie export extension (e.g., EditThisCookie)');
+      console.error('  2. Log into clarity.microsoft.com');
+      console.error('  3. Import them into the vault: npm run cookies:vault -- import <name> <export-file>');
+      console.error('  4. Run this command again with --cookie-set <name>');
+      process.exit(1);
+    }
+
+    console.log(`Loaded cookies from: ${cookiesPath}`);
   }
 
-  console.log(`Loaded cookies from: ${cookiesPath}`);
   console.log(`Max recordings: ${maxCount}`);
   console.log(`Parallel recordings: ${maxConcurrent}`);
   console.log(`Start date: ${startDate || 'Last 7 days'}`);
   console.log(`End date: ${endDate || 'Now'}`);
   console.log(`Destination: ${uploadToGdrive ? 'Google Drive' : outputDir}`);
+  console.log(`Playback: ${playbackSpeed}x${skipInactivity ? ', skipping inactivity' : ''}`);
+  console.log(`Format: ${format}${trim ? ', trimming static frames' : ''}`);
+  if (Object.keys(filters).length > 0) {
+    console.log(`Filters: ${JSON.stringify(filters)}`);
+  }
+  console.log(`Manifest: ${manifestPath}${resumePath ? ' (resuming)' : ''}`);
   console.log('');
 
   const startTime = Date.now();
   const result = await captureBatch({
     startDate,
     endDate,
+    filters,
     maxCount,
     maxConcurrent,
     uploadToGdrive,
     outputDir,
     clarityCookies,
+    playbackSpeed,
+    skipInactivity,
+    format,
+    trim,
+    force,
+    manifestPath,
+    resume: Boolean(resumePath),
+    manifestOptions: cookieSet ? { cookieSet } : {},
   });
   const duration = Math.round((Date.now() - startTime) / 1000);
 
@@ -379,7 +749,7 @@ Examples:
   console.log('Batch Complete');
   console.log('========================================');
   console.log(`Total: ${result.total}`);
-  console.log(`Success: ${result.success}`);
+  console.log(`Success: ${result.success}${result.skipped > 0 ? ` (${result.skipped} already captured, skipped)` : ''}`);
   console.log(`Failed: ${result.failed}`);
   console.log(`Duration: ${duration}s`);
   console.log(`Effective rate: ${result.total > 0 ? Math.round(duration / result.total) : 0}s per recording`);
@@ -391,12 +761,16 @@ Examples:
       .forEach((r) => {
         console.log(`  - ${r.sessionId}: ${r.error}`);
       });
+    console.log(`\nRetry the failed recordings with: npm run capture:batch -- --resume ${manifestPath}`);
   }
 
   process.exit(result.failed > 0 ? 1 : 0);
 }
 
-main().catch((error) => {
-  console.error('Unexpected error:', error);
-  process.exit(1);
-});
+// Only run the CLI when executed directly (the server imports this module)
+if (process.argv[1]?.includes('capture-batch')) {
+  main().catch((error) => {
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
+}
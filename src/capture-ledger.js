@@ -0,0 +1,164 @@
+/**
+ * Capture Ledger
+ *
+ * Remembers where every successful capture lives, keyed by Clarity project,
+ * session and recording ID, so running the same date range twice doesn't
+ * record and upload the same sessions again. Captures found in the ledger
+ * are skipped and their existing location is returned instead, unless the
+ * caller passes force.
+ *
+ * The ledger is an append-only JSON file (one capture per line) in
+ * DATA_DIR/captures.jsonl (readable by the owner only: it lists Drive links
+ * and local paths); the latest line for a recording wins. Local captures
+ * whose file has since been deleted count as not captured.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { config } from './config.js';
+import { parsePlaybackUrl } from './clarity-api.js';
+
+const LEDGER_PATH = path.join(config.storage.dataDir, 'captures.jsonl');
+
+let captures = null; // key -> capture entry, loaded on first use
+
+/**
+ * Load the ledger from disk (once)
+ * @returns {Map<string, Object>} key -> capture entry
+ */
+function loadLedger() {
+  if (captures) return captures;
+
+  captures = new Map();
+  if (fs.existsSync(LEDGER_PATH)) {
+    for (const line of fs.readFileSync(LEDGER_PATH, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        captures.set(entry.key, entry);
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        console.error('[Ledger] Skipping corrupt ledger line');
+      }
+    }
+    console.log(`[Ledger] Loaded ${captures.size} captures`);
+  }
+  return captures;
+}
+
+/**
+ * Identify a recording for the ledger
+ * @param {Object} recording - Recording { playbackUrl, sessionId }
+ * @param {string} projectId - Clarity project ID, used when the URL doesn't carry one
+ * @returns {Object} { key, projectId, sessionId, recordingId }
+ */
+export function getRecordingKey(recording, projectId = config.clarity.projectId) {
+  let ids = {};
+  try {
+    ids = parsePlaybackUrl(recording.playbackUrl);
+  } catch (error) {
+    // Not a full player URL - fall back to what we were given
+  }
+
+  const project = ids.projectId || projectId || null;
+  const sessionId = recording.sessionId || ids.sessionId;
+  const recordingId = ids.recordingId || null;
+
+  return {
+    key: [project || '-', sessionId, recordingId || '-'].join('/'),
+    projectId: project,
+    sessionId,
+    recordingId,
+  };
+}
+
+/**
+ * Find an earlier capture of a recording
+ * @param {Object} recording - Recording { playbackUrl, sessionId }
+ * @param {string} projectId - Clarity project ID fallback (see getRecordingKey)
+ * @returns {Object|null} Capture entry, or null if it hasn't been captured (or its file is gone)
+ */
+export function findCapture(recording, projectId) {
+  const entry = loadLedger().get(getRecordingKey(recording, projectId).key);
+  if (!entry) return null;
+
+  if (entry.location === 'local' && !fs.existsSync(entry.path)) {
+    console.log(`[Ledger] ${entry.sessionId} was saved to ${entry.path}, which no longer exists - capturing again`);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Record a successful capture
+ * @param {Object} recording - Recording { playbackUrl, sessionId }
+ * @param {Object} result - Capture result { location, path, fileId, webViewLink, format, endReason }
+ * @param {Object} options - Options
+ * @param {string} options.projectId - Clarity project ID fallback (see getRecordingKey)
+ * @param {string} options.jobId - Job that made the capture
+ * @returns {Object} Ledger entry
+ */
+export function recordCapture(recording, result, { projectId, jobId = null } = {}) {
+  const entry = {
+    ...getRecordingKey(recording, projectId),
+    location: result.location,
+    ...(result.path ? { path: result.path } : {}),
+    ...(result.fileId ? { fileId: result.fileId, webViewLink: result.webViewLink } : {}),
+    format: result.format || 'webm',
+    endReason: result.endReason || null,
+    jobId,
+    capturedAt: new Date().toISOString(),
+  };
+
+  loadLedger().set(entry.key, entry);
+  try {
+    const dir = path.dirname(LEDGER_PATH);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(LEDGER_PATH, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  } catch (error) {
+    // The capture itself succeeded; at worst it is captured again next time
+    console.error(`[Ledger] Failed to record ${entry.key}: ${error.message}`);
+  }
+  return entry;
+}
+
+/**
+ * List every capture of a session (across projects and recordings)
+ * @param {string} sessionId - Session ID
+ * @returns {Array<Object>} Capture entries, newest first
+ */
+export function getSessionCaptures(sessionId) {
+  return Array.from(loadLedger().values())
+    .filter((entry) => entry.sessionId === sessionId)
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
+
+/**
+ * Build the result returned for a recording skipped because it was already captured
+ * @param {Object} entry - Capture entry
+ * @returns {Object} Result shaped like a fresh capture, with skipped: true
+ */
+export function toSkippedResult(entry) {
+  return {
+    success: true,
+    skipped: true,
+    sessionId: entry.sessionId,
+    location: entry.location,
+    ...(entry.path ? { path: entry.path } : {}),
+    ...(entry.fileId ? { fileId: entry.fileId, webViewLink: entry.webViewLink } : {}),
+    format: entry.format || 'webm',
+    endReason: entry.endReason,
+    capturedAt: entry.capturedAt,
+    capturedByJob: entry.jobId,
+  };
+}
+
+export default {
+  getRecordingKey,
+  findCapture,
+  recordCapture,
+  getSessionCaptures,
+  toSkippedResult,
+};
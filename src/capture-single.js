@@ -7,8 +7,11 @@
 
 import { config, validateConfig } from './config.js';
 import { fetchSessionRecordings, parseDuration } from './clarity-api.js';
-import { recordClaritySession } from './browserless.js';
+import { recordClaritySession, normalizePlaybackOptions } from './browserless.js';
 import { uploadRecording } from './google-drive.js';
+import { postProcessRecording, normalizeOutputFormat, saveRecording } from './post-process.js';
+import { getCookieSet } from './cookie-vault.js';
+import { findCapture, recordCapture, toSkippedResult } from './capture-ledger.js';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -21,9 +24,18 @@ const DEFAULT_COOKIES_PATH = path.join(process.cwd(), 'clarity-cookies.json');
  * @param {string} options.url - Clarity playback URL (optional, will fetch latest if not provided)
  * @param {string} options.sessionId - Session ID (optional)
  * @param {boolean} options.uploadToGdrive - Whether to upload to Google Drive
- * @param {string} options.outputPath - Local output path (if not uploading)
+ * @param {string} options.outputPath - Local output path (if not uploading); a .webm/.mp4
+ *        extension is changed to match the stored format
  * @param {string|Array} options.clarityCookies - Browser session cookies for Clarity authentication
- * @returns {Promise<Object>} Capture result
+ * @param {number} options.playbackSpeed - Player speed: 1, 2, 4 or 8 (default: 1)
+ * @param {boolean} options.skipInactivity - Skip inactive periods in the player
+ * @param {string} options.format - Stored video format, 'webm' or 'mp4' (default: OUTPUT_FORMAT)
+ * @param {boolean} options.trim - Cut static lead-in and tail frames (default: TRIM_RECORDINGS)
+ * @param {Object} options.client - Clarity client used to look up the latest recording
+ *        (default: configured credentials)
+ * @param {string} options.driveFolderId - Google Drive folder to upload into (default: GOOGLE_DRIVE_FOLDER_ID)
+ * @param {boolean} options.force - Capture again even if the capture ledger already has this recording
+ * @returns {Promise<Object>} Capture result (skipped: true with the existing location if already captured)
  */
 export async function captureSingleRecording({
   url,
@@ -31,21 +43,33 @@ export async function captureSingleRecording({
   uploadToGdrive = false,
   outputPath,
   clarityCookies,
+  playbackSpeed = 1,
+  skipInactivity = false,
+  format = config.media.outputFormat,
+  trim = config.media.trim,
+  client,
+  driveFolderId,
+  force = false,
 } = {}) {
   console.log('Starting single recording capture...\n');
 
+  format = normalizeOutputFormat(format);
+
   let recordingDurationMs = 60 * 1000; // Default 1 minute if unknown
+  let activeDurationMs = 0;
+  let latest = {}; // Latest recording from the API, whose timeline gives the tracks
 
   // If no URL provided, fetch the latest recording
   if (!url) {
     console.log('No URL provided, fetching latest recording...');
-    const recordings = await fetchSessionRecordings({ count: 1 });
+    const recordings = await fetchSessionRecordings({ count: 1, client });
 
     if (recordings.length === 0) {
       throw new Error('No recordings found');
     }
 
     const recording = recordings[0];
+    latest = recording;
     url = recording.playbackUrl;
     sessionId = recording.sessionId;
 
@@ -53,6 +77,7 @@ export async function captureSingleRecording({
     if (recording.totalDuration) {
       recordingDurationMs = parseDuration(recording.totalDuration) || 60000;
     }
+    activeDurationMs = parseDuration(recording.activeDuration);
 
     console.log(`Found recording: ${sessionId}`);
     console.log(`Duration: ${recording.totalDuration} (${recordingDurationMs}ms)`);
@@ -68,6 +93,17 @@ export async function captureSingleRecording({
   console.log(`Session ID: ${sessionId}`);
   console.log(`Playback URL: ${url}\n`);
 
+  const recording = { ...latest, playbackUrl: url, sessionId };
+  const projectId = client?.projectId;
+
+  if (!force) {
+    const existing = findCapture(recording, projectId);
+    if (existing) {
+      console.log(`Already captured ${existing.capturedAt} (${existing.location}) - skipping (use force to capture again)`);
+      return toSkippedResult(existing);
+    }
+  }
+
   // Use the actual duration plus buffer for page load
   const estimatedDurationMs = recordingDurationMs;
 
@@ -76,38 +112,64 @@ export async function captureSingleRecording({
 
   try {
     // Record the session (pass cookies for authentication)
-    const videoBuffer = await recordClaritySession(url, estimatedDurationMs, {
+    const { video: videoBuffer, endReason, playback } = await recordClaritySession(url, estimatedDurationMs, {
       clarityCookies,
+      activeDurationMs,
+      playbackSpeed,
+      skipInactivity,
     });
 
-    console.log(`Recording captured: ${videoBuffer.byteLength} bytes`);
+    console.log(`Recording captured: ${videoBuffer.byteLength} bytes (${endReason})`);
+
+    const processed = await postProcessRecording(videoBuffer, { format, trim, recording, playback, label: sessionId });
 
     // Save or upload
     if (uploadToGdrive) {
       console.log('\nUploading to Google Drive...');
       const uploadResult = await uploadRecording(
-        Buffer.from(videoBuffer),
-        sessionId
+        processed.video,
+        sessionId,
+        new Date(),
+        {
+          folderId: driveFolderId,
+          format: processed.details.format,
+          previews: processed.previews,
+          tracks: processed.tracks,
+        }
       );
       console.log(`✓ Uploaded: ${uploadResult.webViewLink}`);
-      return {
+      const result = {
         success: true,
         sessionId,
         location: 'google-drive',
         fileId: uploadResult.fileId,
         webViewLink: uploadResult.webViewLink,
+        ...(uploadResult.previews ? { previews: uploadResult.previews } : {}),
+        ...(uploadResult.tracks ? { tracks: uploadResult.tracks } : {}),
+        endReason,
+        ...processed.details,
       };
+      recordCapture(recording, result, { projectId });
+      return result;
     } else {
       // Save locally
-      const localPath = outputPath || path.join(process.cwd(), `${sessionId}.webm`);
-      fs.writeFileSync(localPath, Buffer.from(videoBuffer));
+      const localPath = outputPath
+        ? outputPath.replace(/\.(webm|mp4)$/i, `.${processed.extension}`)
+        : path.join(process.cwd(), `${sessionId}.${processed.extension}`);
+      const { previews, tracks } = saveRecording(processed, localPath);
       console.log(`✓ Saved locally: ${localPath}`);
-      return {
+      const result = {
         success: true,
         sessionId,
         location: 'local',
         path: localPath,
+        ...(previews ? { previews } : {}),
+        ...(tracks ? { tracks } : {}),
+        endReason,
+        ...processed.details,
       };
+      recordCapture(recording, result, { projectId });
+      return result;
     }
   } catch (error) {
     console.error(`✗ Capture failed: ${error.message}`);
@@ -136,6 +198,28 @@ function loadCookiesFromFile(cookiesPath) {
   return null;
 }
 
+/**
+ * Load cookies from the encrypted vault, exiting if the set can't be read
+ * @param {string} name - Cookie set name
+ * @returns {Array} Cookies
+ */
+function loadCookiesFromVault(name) {
+  let cookies;
+  try {
+    cookies = getCookieSet(name);
+  } catch (error) {
+    console.error(`\nERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!cookies) {
+    console.error(`\nERROR: No cookie set named "${name}" in the vault`);
+    console.error('Import one with: npm run cookies:vault -- import <name> <export-file>');
+    process.exit(1);
+  }
+  return cookies;
+}
+
 // CLI execution
 async function main() {
   const args = process.argv.slice(2);
@@ -145,6 +229,12 @@ async function main() {
   let uploadToGdrive = false;
   let outputPath = null;
   let cookiesPath = DEFAULT_COOKIES_PATH;
+  let cookieSet = null;
+  let playbackSpeed = 1;
+  let skipInactivity = false;
+  let format = config.media.outputFormat;
+  let trim = config.media.trim;
+  let force = false;
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -164,6 +254,24 @@ async function main() {
       case '-c':
         cookiesPath = args[++i];
         break;
+      case '--cookie-set':
+        cookieSet = args[++i];
+        break;
+      case '--speed':
+        playbackSpeed = args[++i];
+        break;
+      case '--skip-inactivity':
+        skipInactivity = true;
+        break;
+      case '--format':
+        format = args[++i];
+        break;
+      case '--no-trim':
+        trim = false;
+        break;
+      case '--force':
+        force = true;
+        break;
       case '--help':
       case '-h':
         console.log(`
@@ -174,18 +282,30 @@ Usage: npm run capture:single -- [options]
 Options:
   --url, -u <url>         Clarity playback URL (optional, fetches latest if not provided)
   --upload, -g            Upload to Google Drive instead of saving locally
-  --output, -o <path>     Local output path (default: ./<sessionId>.webm)
+  --output, -o <path>     Local output path (default: ./<sessionId>.<format>)
   --cookies, -c <path>    Path to cookies JSON file (default: ./clarity-cookies.json)
+  --cookie-set <name>     Use a cookie set from the encrypted vault instead of a file
+  --speed <1|2|4|8>       Player playback speed (default: 1)
+  --skip-inactivity       Skip inactive periods in the player
+  --format <webm|mp4>     Stored video format; mp4 is transcoded with ffmpeg (default: ${config.media.outputFormat})
+  --no-trim               Keep the static lead-in and tail frames${config.media.trim ? '' : ' (the default: TRIM_RECORDINGS=false)'}
+  --force                 Capture again even if the recording was captured before
   --help, -h              Show this help message
 
 IMPORTANT: Clarity session cookies are REQUIRED for authentication.
 Export cookies using a browser extension (like EditThisCookie) while logged into Clarity.
 
+Recordings already in the capture ledger ($DATA_DIR/captures.jsonl) are
+skipped and their existing location printed, unless --force is given.
+
 Examples:
+  npm run capture:single -- --cookie-set acme
   npm run capture:single -- --cookies cookies.json
   npm run capture:single -- --url "https://clarity.microsoft.com/player/xyz/abc/123" -c cookies.json
   npm run capture:single -- --upload --cookies my-cookies.json
   npm run capture:single -- -o recordings/my-recording.webm -c cookies.json
+  npm run capture:single -- --speed 4 --skip-inactivity -c cookies.json
+  npm run capture:single -- --format mp4 -c cookies.json
 `);
         process.exit(0);
     }
@@ -197,33 +317,47 @@ Examples:
 
   try {
     validateConfig();
+    ({ playbackSpeed, skipInactivity } = normalizePlaybackOptions({ playbackSpeed, skipInactivity }));
+    format = normalizeOutputFormat(format);
   } catch (error) {
     console.error('Configuration error:', error.message);
     process.exit(1);
   }
 
-  // Load cookies
-  const clarityCookies = loadCookiesFromFile(cookiesPath);
-
-  if (!clarityCookies) {
-    console.error(`\nERROR: Could not load cookies from ${cookiesPath}`);
-    console.error('');
-    console.error('Clarity requires browser session cookies for authentication.');
-    console.error('Please export your cookies while logged into Clarity:');
-    console.error('  1. Install a cookie export extension (e.g., EditThisCookie)');
-    console.error('  2. Log into clarity.microsoft.com');
-    console.error('  3. Export cookies as JSON to clarity-cookies.json');
-    console.error('  4. Run this command again');
-    process.exit(1);
-  }
+  // Load cookies from the vault or a file
+  let clarityCookies;
+
+  if (cookieSet) {
+    clarityCookies = loadCookiesFromVault(cookieSet);
+    console.log(`Loaded cookie set: ${cookieSet}\n`);
+  } else {
+    clarityCookies = loadCookiesFromFile(cookiesPath);
+
+    if (!clarityCookies) {
+      console.error(`\nERROR: Could not load cookies from ${cookiesPath}`);
+      console.error('');
+      console.error('Clarity requires browser session cookies for authentication.');
+      console.error('Please export your cookies while logged into Clarity:');
+      console.error('  1. Install a cookie export extension (e.g., EditThisCookie)');
+      console.error('  2. Log into clarity.microsoft.com');
+      console.error('  3. Import them into the vault: npm run cookies:vault -- import <name> <export-file>');
+      console.error('  4. Run this command again with --cookie-set <name>');
+      process.exit(1);
+    }
 
-  console.log(`Loaded cookies from: ${cookiesPath}\n`);
+    console.log(`Loaded cookies from: ${cookiesPath}\n`);
+  }
 
   const result = await captureSingleRecording({
     url,
     uploadToGdrive,
     outputPath,
     clarityCookies,
+    playbackSpeed,
+    skipInactivity,
+    format,
+    trim,
+    force,
   });
 
   console.log('\n========================================');
@@ -234,7 +368,10 @@ Examples:
   process.exit(result.success ? 0 : 1);
 }
 
-main().catch((error) => {
-  console.error('Unexpected error:', error);
-  process.exit(1);
-});
+// Only run the CLI when executed directly (the server imports this module)
+if (process.argv[1]?.includes('capture-single')) {
+  main().catch((error) => {
+    console.error('Unexpected error:', error);
+    process.exit(1);
+  });
+}
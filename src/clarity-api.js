@@ -1,4 +1,5 @@
 import { config } from './config.js';
+import { toApiFilters, matchesRecordingFilters } from './recording-filters.js';
 
 /**
  * Fetch with timeout
@@ -22,13 +23,33 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 60000) {
   }
 }
 
+/**
+ * Create a Clarity client for one customer's credentials
+ * Pass it to the fetch functions (and the capture pipeline) instead of
+ * changing the global config, so concurrent requests for different
+ * customers never see each other's token.
+ * @param {Object} credentials - Client credentials
+ * @param {string} credentials.apiToken - Clarity API token (default: CLARITY_API_TOKEN)
+ * @param {string} credentials.projectId - Clarity project ID (default: CLARITY_PROJECT_ID)
+ * @returns {Object} Frozen client { apiToken, projectId, mcpBaseUrl }
+ */
+export function createClarityClient({ apiToken, projectId } = {}) {
+  return Object.freeze({
+    apiToken: apiToken || config.clarity.apiToken,
+    projectId: projectId || config.clarity.projectId,
+    mcpBaseUrl: config.clarity.mcpBaseUrl,
+  });
+}
+
 /**
  * Fetch dashboard insights from Clarity Data Export API
  * @param {number} numOfDays - 1, 2, or 3 (last 24, 48, or 72 hours)
  * @param {string} dimension1 - Optional dimension (Browser, Device, Country, OS, etc.)
+ * @param {Object} options - Request options
+ * @param {Object} options.client - Clarity client (default: configured credentials)
  * @returns {Promise<Array>} Dashboard metrics
  */
-export async function fetchDashboardInsights(numOfDays = 1, dimension1 = null) {
+export async function fetchDashboardInsights(numOfDays = 1, dimension1 = null, { client = createClarityClient() } = {}) {
   const params = new URLSearchParams({ numOfDays: numOfDays.toString() });
   if (dimension1) {
     params.append('dimension1', dimension1);
@@ -39,7 +60,7 @@ export async function fetchDashboardInsights(numOfDays = 1, dimension1 = null) {
   const response = await fetchWithTimeout(url, {
     method: 'GET',
     headers: {
-      'Authorization': `Bearer ${config.clarity.apiToken}`,
+      'Authorization': `Bearer ${client.apiToken}`,
       'Content-Type': 'application/json',
     },
   }, 30000);
@@ -52,45 +73,69 @@ export async function fetchDashboardInsights(numOfDays = 1, dimension1 = null) {
   return response.json();
 }
 
+// Most recordings the MCP API returns per request
+const RECORDINGS_PAGE_SIZE = 250;
+
+// Smallest date window we split into when a page comes back full
+const MIN_WINDOW_MS = 60 * 1000;
+
+// Most pages one query fetches, so a selective filter on a busy project can't
+// split its way into thousands of requests
+const MAX_PAGES_PER_QUERY = 200;
+
 /**
- * Fetch session recordings from Clarity MCP API
- * @param {Object} options - Query options
- * @param {Date} options.startDate - Start date for recordings
- * @param {Date} options.endDate - End date for recordings
- * @param {number} options.count - Number of recordings to fetch (max 250)
- * @param {number} options.sortBy - Sort option (0=newest first, 1=oldest first, etc.)
- * @param {Object} options.filters - Additional filters
- * @returns {Promise<Array>} Session recordings with playback URLs
+ * Resolve a recordings date range, defaulting to the last 7 days
+ * @param {Object} range - Date range
+ * @param {Date|string} range.startDate - Start date (default: 7 days before endDate)
+ * @param {Date|string} range.endDate - End date (default: now)
+ * @returns {Object} { startDate: Date, endDate: Date }
  */
-export async function fetchSessionRecordings({
-  startDate,
-  endDate,
-  count = 100,
-  sortBy = 0,
-  filters = {},
-} = {}) {
-  // Default to last 7 days if no dates provided
-  const now = new Date();
-  const defaultStart = new Date(now);
-  defaultStart.setDate(defaultStart.getDate() - 7);
+export function resolveDateRange({ startDate, endDate } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  if (Number.isNaN(end.getTime())) {
+    throw new Error(`Invalid endDate: ${endDate}`);
+  }
 
-  const start = startDate || defaultStart;
-  const end = endDate || now;
+  let start;
+  if (startDate) {
+    start = new Date(startDate);
+    if (Number.isNaN(start.getTime())) {
+      throw new Error(`Invalid startDate: ${startDate}`);
+    }
+  } else {
+    start = new Date(end);
+    start.setDate(start.getDate() - 7);
+  }
 
-  const url = `${config.clarity.mcpBaseUrl}/recordings/sample`;
+  return { startDate: start, endDate: end };
+}
+
+/**
+ * Fetch one page of session recordings from the Clarity MCP API
+ * @param {Object} query - Page query
+ * @param {Date} query.start - Window start
+ * @param {Date} query.end - Window end
+ * @param {number} query.count - Recordings to request (max 250)
+ * @param {number} query.sortBy - Sort option
+ * @param {Object} query.filters - Normalized recording filters (see recording-filters.js)
+ * @param {Object} query.client - Clarity client
+ * @returns {Promise<Array>} Session recordings with playback URLs
+ */
+async function fetchRecordingsPage({ start, end, count, sortBy, filters, client }) {
+  const url = `${client.mcpBaseUrl}/recordings/sample`;
 
   const body = {
     sortBy,
     start: start.toISOString(),
     end: end.toISOString(),
-    count: Math.min(count, 250), // API max is 250
-    ...filters,
+    count: Math.min(count, RECORDINGS_PAGE_SIZE),
+    ...toApiFilters(filters),
   };
 
   const response = await fetchWithTimeout(url, {
     method: 'POST',
     headers: {
-      'Authorization': `Bearer ${config.clarity.apiToken}`,
+      'Authorization': `Bearer ${client.apiToken}`,
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(body),
@@ -112,10 +157,137 @@ export async function fetchSessionRecordings({
     activeDuration: recording.activeDuration,
     pagesCount: recording.pagesCount,
     clickCount: recording.sessionClickCount,
+    rageClickCount: recording.rageClickCount,
+    deadClickCount: recording.deadClickCount,
+    deviceType: recording.device,
+    browser: recording.browser,
+    os: recording.os,
+    country: recording.country,
+    entryUrl: recording.entryUrl,
+    exitUrl: recording.exitUrl,
     timeline: recording.timeline,
   }));
 }
 
+/**
+ * Iterate session recordings across the whole date range
+ * The API returns at most 250 recordings per request, so whenever a page
+ * comes back full its matches are yielded and its window is split in half
+ * to fetch the rest (unless the query is already finished). Recordings
+ * are de-duplicated by sessionId, checked against the filters locally and
+ * yielded as each page arrives. A sessionIds filter stops the query once
+ * every listed session is found, and no query fetches more than
+ * MAX_PAGES_PER_QUERY pages.
+ *
+ * @param {Object} options - Query options
+ * @param {Date|string} options.startDate - Start date for recordings (default: 7 days ago)
+ * @param {Date|string} options.endDate - End date for recordings (default: now)
+ * @param {number} options.count - Maximum recordings to yield (default: all)
+ * @param {number} options.sortBy - Sort option (0=newest first, 1=oldest first, etc.)
+ * @param {Object} options.filters - Normalized recording filters (see parseRecordingFilters())
+ * @param {Object} options.client - Clarity client (default: configured credentials)
+ * @yields {Object} Session recording with playback URL
+ */
+export async function* iterateSessionRecordings({
+  startDate,
+  endDate,
+  count = Infinity,
+  sortBy = 0,
+  filters = {},
+  client = createClarityClient(),
+} = {}) {
+  const range = resolveDateRange({ startDate, endDate });
+  const seen = new Set();
+  let remaining = filters.sessionIds ? Math.min(count, filters.sessionIds.length) : count;
+  let pages = 0;
+
+  // Windows still to fetch - the next one is at the end
+  const windows = [{ start: range.startDate, end: range.endDate }];
+
+  while (windows.length > 0 && remaining > 0) {
+    if (pages >= MAX_PAGES_PER_QUERY) {
+      console.log(`[Clarity] Stopped after ${MAX_PAGES_PER_QUERY} pages with ${windows.length} windows left - narrow the date range or filters to see the rest`);
+      break;
+    }
+    pages++;
+
+    const window = windows.pop();
+    const page = await fetchRecordingsPage({
+      ...window,
+      count: RECORDINGS_PAGE_SIZE,
+      sortBy,
+      filters,
+      client,
+    });
+    const spanMs = window.end - window.start;
+    const full = page.length >= RECORDINGS_PAGE_SIZE;
+    const matches = page.filter(
+      (recording) => !seen.has(recording.sessionId) && matchesRecordingFilters(recording, filters)
+    );
+
+    for (const recording of matches) {
+      if (remaining <= 0) break;
+      if (seen.has(recording.sessionId)) continue;
+      seen.add(recording.sessionId);
+      remaining--;
+      yield recording;
+    }
+
+    // A full page is only a sample of its window: split it to find the rest
+    if (!full || remaining <= 0) continue;
+
+    if (spanMs > MIN_WINDOW_MS) {
+      const middle = new Date(window.start.getTime() + Math.floor(spanMs / 2));
+      const older = { start: window.start, end: middle };
+      const newer = { start: middle, end: window.end };
+      // Keep the requested order across windows: oldest first only for sortBy=1
+      if (sortBy === 1) {
+        windows.push(newer, older);
+      } else {
+        windows.push(older, newer);
+      }
+    } else {
+      console.log(`[Clarity] More than ${RECORDINGS_PAGE_SIZE} recordings between ${window.start.toISOString()} and ${window.end.toISOString()}, some were skipped`);
+    }
+  }
+}
+
+/**
+ * Fetch session recordings from Clarity MCP API
+ * Pages through the date range as needed - see iterateSessionRecordings().
+ * @param {Object} options - Query options
+ * @param {Date} options.startDate - Start date for recordings
+ * @param {Date} options.endDate - End date for recordings
+ * @param {number} options.count - Number of recordings to fetch
+ * @param {number} options.sortBy - Sort option (0=newest first, 1=oldest first, etc.)
+ * @param {Object} options.filters - Normalized recording filters (see parseRecordingFilters())
+ * @param {Object} options.client - Clarity client (default: configured credentials)
+ * @returns {Promise<Array>} Session recordings with playback URLs
+ */
+export async function fetchSessionRecordings({ count = 100, ...options } = {}) {
+  const recordings = [];
+  for await (const recording of iterateSessionRecordings({ count, ...options })) {
+    recordings.push(recording);
+  }
+  return recordings;
+}
+
+/**
+ * Split a Clarity player URL into its IDs
+ * @param {string} url - Clarity player URL
+ * @returns {Object} { projectId, sessionId, recordingId }
+ */
+export function parsePlaybackUrl(url) {
+  // URL format: https://clarity.microsoft.com/player/{projectId}/{sessionId}/{recordingId}
+  const parts = new URL(url).pathname.split('/').filter(Boolean);
+  const player = parts.indexOf('player');
+  return {
+    projectId: player !== -1 ? parts[player + 1] || null : null,
+    sessionId: parts[parts.length - 2] || null,
+    recordingId: parts[parts.length - 1] || null,
+  };
+}
+
 /**
  * Extract session ID from Clarity player URL
  * @param {string} url - Clarity player URL
@@ -133,6 +305,10 @@ function extractSessionId(url) {
  * @returns {number} Duration in milliseconds
  */
 export function parseDuration(durationStr) {
+  if (typeof durationStr !== 'string') {
+    return 0;
+  }
+
   let totalMs = 0;
 
   const minutesMatch = durationStr.match(/(\d+)\s*minutes?/);
@@ -148,11 +324,35 @@ export function parseDuration(durationStr) {
   return totalMs;
 }
 
+/**
+ * Estimate how long a recording takes to play back in the player
+ * Skipping inactivity plays roughly the active part of the session; the
+ * playback speed then divides whatever is left.
+ * @param {Object} durations - Session durations
+ * @param {number} durations.durationMs - Total session duration in milliseconds
+ * @param {number} durations.activeDurationMs - Active duration in milliseconds (optional)
+ * @param {Object} playback - Player settings
+ * @param {number} playback.playbackSpeed - 1, 2, 4 or 8
+ * @param {boolean} playback.skipInactivity - Whether inactive periods are skipped
+ * @returns {number} Expected playback time in milliseconds
+ */
+export function estimatePlaybackMs(
+  { durationMs, activeDurationMs = 0 },
+  { playbackSpeed = 1, skipInactivity = false } = {}
+) {
+  const playedMs = skipInactivity && activeDurationMs > 0
+    ? Math.min(activeDurationMs, durationMs || activeDurationMs)
+    : durationMs;
+
+  return Math.ceil(playedMs / playbackSpeed);
+}
+
 /**
  * Test API connectivity
+ * @param {Object} client - Clarity client (default: configured credentials)
  * @returns {Promise<Object>} Test results
  */
-export async function testConnection() {
+export async function testConnection(client = createClarityClient()) {
   const results = {
     dashboardApi: { success: false, error: null },
     recordingsApi: { success: false, error: null },
@@ -160,7 +360,7 @@ export async function testConnection() {
 
   // Test dashboard API
   try {
-    const insights = await fetchDashboardInsights(1);
+    const insights = await fetchDashboardInsights(1, null, { client });
     results.dashboardApi.success = true;
     results.dashboardApi.sessionCount = insights.find(
       (m) => m.metricName === 'Traffic'
@@ -171,7 +371,7 @@ export async function testConnection() {
 
   // Test recordings API
   try {
-    const recordings = await fetchSessionRecordings({ count: 1 });
+    const recordings = await fetchSessionRecordings({ count: 1, client });
     results.recordingsApi.success = true;
     results.recordingsApi.sampleUrl = recordings[0]?.playbackUrl;
   } catch (error) {
@@ -13,6 +13,43 @@ export const config = {
   browserless: {
     apiKey: process.env.BROWSERLESS_API_KEY,
     endpoint: process.env.BROWSERLESS_ENDPOINT || 'https://production-sfo.browserless.io',
+    // Ordered failover list; defaults to just BROWSERLESS_ENDPOINT
+    endpoints: (process.env.BROWSERLESS_ENDPOINTS || process.env.BROWSERLESS_ENDPOINT || 'https://production-sfo.browserless.io')
+      .split(',')
+      .map((e) => e.trim().replace(/\/+$/, ''))
+      .filter(Boolean),
+    failoverCooldownMs: (parseInt(process.env.BROWSERLESS_FAILOVER_COOLDOWN_SECONDS) || 60) * 1000,
+  },
+
+  // Browser backend used for captures
+  browser: {
+    backend: process.env.BROWSER_BACKEND || 'browserless', // 'browserless' or 'local'
+    chromePath: process.env.CHROME_PATH, // Required for the local backend
+    headless: process.env.CHROME_HEADLESS !== 'false',
+    screencastFps: parseInt(process.env.SCREENCAST_FPS) || 15,
+  },
+
+  // Media tools
+  media: {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // Stored video format: 'webm' (as captured) or 'mp4' (transcoded with ffmpeg)
+    outputFormat: (process.env.OUTPUT_FORMAT || 'webm').toLowerCase(),
+    mp4Codec: process.env.MP4_CODEC || 'libx264',
+    mp4Crf: parseInt(process.env.MP4_CRF ?? '23'),
+    mp4Preset: process.env.MP4_PRESET || 'veryfast',
+    // WIDTHxHEIGHT to scale larger recordings down to (empty = keep the captured size)
+    mp4MaxResolution: process.env.MP4_MAX_RESOLUTION ?? '1920x1080',
+    // Cut static lead-in and tail frames (requests can opt out with trim: false)
+    trim: process.env.TRIM_RECORDINGS !== 'false',
+    // ffmpeg freezedetect: noise tolerance (ratio or dB) and shortest static stretch, in seconds
+    trimNoise: process.env.TRIM_NOISE || '0.001',
+    trimMinStaticSeconds: parseFloat(process.env.TRIM_MIN_STATIC_SECONDS) || 1,
+    // Poster, contact sheet and GIF stored next to each video
+    previews: process.env.PREVIEWS !== 'false',
+    contactSheetFrames: parseInt(process.env.CONTACT_SHEET_FRAMES) || 9,
+    previewGifSeconds: parseInt(process.env.PREVIEW_GIF_SECONDS) || 6,
+    // WebVTT chapter and event tracks built from the Clarity timeline
+    timelineTracks: process.env.TIMELINE_TRACKS !== 'false',
   },
 
   // Google Drive
@@ -29,6 +66,43 @@ export const config = {
     recordingTimeoutMinutes: parseInt(process.env.RECORDING_TIMEOUT_MINUTES) || 35,
     retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3,
     delayBetweenRecordings: 5000, // 5 seconds
+    autoResumeInterrupted: process.env.AUTO_RESUME_INTERRUPTED_JOBS === 'true',
+    // Recordings a job captures before giving way to a waiting job (0 = never)
+    queueSliceSize: parseInt(process.env.QUEUE_SLICE_SIZE ?? '10') || 0,
+  },
+
+  // Persistent storage (job journal, etc.)
+  storage: {
+    dataDir: process.env.DATA_DIR || './data',
+  },
+
+  // Scheduled capture jobs (DATA_DIR/schedules.json)
+  scheduler: {
+    // Turn off on all but one instance if several share a DATA_DIR
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  },
+
+  // Encrypted cookie vault (DATA_DIR/cookie-vault.json)
+  cookieVault: {
+    key: process.env.COOKIE_VAULT_KEY,
+  },
+
+  // HTTP API keys (see src/auth.js)
+  auth: {
+    // Comma-separated name:scope|scope:sha256hex entries
+    apiKeys: process.env.API_KEYS,
+    keysFile: process.env.API_KEYS_FILE || `${process.env.DATA_DIR || './data'}/api-keys.json`,
+    // Turn authentication off entirely (local development only)
+    disabled: process.env.AUTH_DISABLED === 'true',
+    // Shared secret for X-Signature-256 on incoming /webhook calls (optional)
+    webhookSecret: process.env.INBOUND_WEBHOOK_SECRET,
+  },
+
+  // Outgoing job webhooks (see src/webhook-delivery.js)
+  webhooks: {
+    signingSecret: process.env.WEBHOOK_SIGNING_SECRET, // Signs X-Webhook-Signature when set
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 5) * 1000,
   },
 
   // Notifications
@@ -49,9 +123,24 @@ export function validateConfig() {
   if (!config.clarity.apiToken) {
     errors.push('CLARITY_API_TOKEN is required');
   }
-  if (!config.browserless.apiKey) {
+  if (config.browser.backend === 'browserless' && !config.browserless.apiKey) {
     errors.push('BROWSERLESS_API_KEY is required');
   }
+  if (config.browser.backend === 'local' && !config.browser.chromePath) {
+    errors.push('CHROME_PATH is required when BROWSER_BACKEND=local');
+  }
+  if (!['browserless', 'local'].includes(config.browser.backend)) {
+    errors.push(`BROWSER_BACKEND must be "browserless" or "local" (got "${config.browser.backend}")`);
+  }
+  if (!['webm', 'mp4'].includes(config.media.outputFormat)) {
+    errors.push(`OUTPUT_FORMAT must be "webm" or "mp4" (got "${config.media.outputFormat}")`);
+  }
+  if (!Number.isInteger(config.media.mp4Crf) || config.media.mp4Crf < 0 || config.media.mp4Crf > 51) {
+    errors.push('MP4_CRF must be a number from 0 to 51');
+  }
+  if (config.media.mp4MaxResolution && !/^\d+x\d+$/i.test(config.media.mp4MaxResolution)) {
+    errors.push(`MP4_MAX_RESOLUTION must look like 1920x1080 (got "${config.media.mp4MaxResolution}")`);
+  }
 
   if (errors.length > 0) {
     throw new Error(`Configuration errors:\n${errors.join('\n')}`);
@@ -0,0 +1,336 @@
+/**
+ * Encrypted Cookie Vault
+ *
+ * Stores named Clarity cookie sets encrypted at rest with AES-256-GCM, so
+ * live session cookies don't sit in plaintext JSON files or request bodies.
+ *
+ * - The key is derived (scrypt) from COOKIE_VAULT_KEY and a random salt kept in the vault file
+ * - Each set gets its own IV; the set name is bound in as additional authenticated data
+ * - Cookie counts and timestamps are stored in the clear, the cookies themselves never are
+ *
+ * The vault lives in DATA_DIR/cookie-vault.json. Manage it with
+ * `npm run cookies:vault -- <command>` (see scripts/cookie-vault.js).
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { config } from './config.js';
+import { parseCookies, checkCookieExpiry } from './cookie-utils.js';
+
+const VAULT_PATH = path.join(config.storage.dataDir, 'cookie-vault.json');
+const VAULT_VERSION = 1;
+
+// Set names are used on the command line and in requests
+const SET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// scrypt is slow on purpose, so derived keys are kept: salt -> key. Only the
+// vault salt and SEAL_SALT are ever used, so this stays at a couple of entries.
+const derivedKeys = new Map();
+
+// Fixed salt for cookies sealed outside the vault, so their key is derived once per process
+const SEAL_SALT = Buffer.from('clarity-recording-automation:sealed-cookies').toString('base64');
+
+/**
+ * Check whether a vault key is configured
+ * @returns {boolean} True if COOKIE_VAULT_KEY is set
+ */
+export function isVaultConfigured() {
+  return !!config.cookieVault.key;
+}
+
+/**
+ * Derive the AES key from a passphrase
+ * Keys for COOKIE_VAULT_KEY are cached per salt; other passphrases (the new
+ * key during rotation) are derived every time.
+ * @param {string} passphrase - COOKIE_VAULT_KEY value
+ * @param {string} salt - Base64 salt from the vault file
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, salt) {
+  if (!passphrase) {
+    throw new Error('COOKIE_VAULT_KEY is not set');
+  }
+  if (passphrase !== config.cookieVault.key) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32);
+  }
+
+  if (!derivedKeys.has(salt)) {
+    derivedKeys.set(salt, crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32));
+  }
+  return derivedKeys.get(salt);
+}
+
+/**
+ * Read the vault file, or an empty vault if there isn't one yet
+ * @returns {Object} Vault { version, salt, sets }
+ */
+function readVault() {
+  if (!fs.existsSync(VAULT_PATH)) {
+    return {
+      version: VAULT_VERSION,
+      salt: crypto.randomBytes(16).toString('base64'),
+      sets: {},
+    };
+  }
+
+  const vault = JSON.parse(fs.readFileSync(VAULT_PATH, 'utf-8'));
+  if (vault.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported cookie vault version: ${vault.version}`);
+  }
+  return vault;
+}
+
+/**
+ * Write the vault file atomically, readable by the owner only
+ * @param {Object} vault - Vault { version, salt, sets }
+ */
+function writeVault(vault) {
+  const dir = path.dirname(VAULT_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = `${VAULT_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, VAULT_PATH);
+}
+
+/**
+ * Encrypt a cookie array
+ * @param {Buffer} key - AES key
+ * @param {string} name - Set name (authenticated, not encrypted)
+ * @param {Array} cookies - Cookies
+ * @returns {Object} { iv, tag, data } (base64)
+ */
+function encryptCookies(key, name, cookies) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf-8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a stored cookie set
+ * @param {Buffer} key - AES key
+ * @param {string} name - Set name
+ * @param {Object} entry - Stored entry { iv, tag, data }
+ * @returns {Array} Cookies
+ */
+function decryptCookies(key, name, entry) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(name));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf-8'));
+  } catch (error) {
+    throw new Error(`Could not decrypt cookie set "${name}" - is COOKIE_VAULT_KEY correct?`);
+  }
+}
+
+/**
+ * Encrypt cookies outside the vault (e.g. inline cookies a queued job needs after a restart)
+ * Uses a key derived once per process from COOKIE_VAULT_KEY; each call only gets a
+ * fresh IV. Nothing is written to the vault file, so rotate-key doesn't re-seal
+ * them: see isSealedWithCurrentKey().
+ * @param {Array} cookies - Cookies
+ * @param {string} label - What the cookies are for (authenticated, not encrypted)
+ * @returns {Object} { keyId, iv, tag, data } (base64)
+ */
+export function sealCookies(cookies, label) {
+  const key = deriveKey(config.cookieVault.key, SEAL_SALT);
+  return { keyId: getKeyId(key), ...encryptCookies(key, label, cookies) };
+}
+
+/**
+ * Fingerprint a sealing key, so cookies sealed under an earlier key are recognised
+ * @param {Buffer} key - AES key
+ * @returns {string} First 16 hex characters of its SHA-256
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Check whether sealed cookies can be opened with the current COOKIE_VAULT_KEY
+ * @param {Object} sealed - Result of sealCookies
+ * @returns {boolean} False if they were sealed before the key was rotated
+ */
+export function isSealedWithCurrentKey(sealed) {
+  return sealed.keyId === getKeyId(deriveKey(config.cookieVault.key, SEAL_SALT));
+}
+
+/**
+ * Decrypt cookies encrypted with sealCookies
+ * @param {Object} sealed - { keyId, iv, tag, data }
+ * @param {string} label - Label they were sealed with
+ * @returns {Array} Cookies
+ */
+export function openSealedCookies(sealed, label) {
+  return decryptCookies(deriveKey(config.cookieVault.key, SEAL_SALT), label, sealed);
+}
+
+/**
+ * Read cookies from an export file (EditThisCookie JSON or Netscape cookies.txt)
+ * @param {string} filePath - Export file
+ * @returns {Array} Normalized cookies
+ */
+export function readCookieExport(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const cookies = parseCookies(content.trim().startsWith('[') ? JSON.parse(content) : content);
+
+  if (cookies.length === 0) {
+    throw new Error(`No cookies found in ${filePath}`);
+  }
+  return cookies;
+}
+
+/**
+ * Store (or replace) a cookie set
+ * @param {string} name - Set name
+ * @param {string|Array} cookieInput - Cookies in any format parseCookies() accepts
+ * @returns {Object} Summary { name, cookieCount, expiry }
+ */
+export function saveCookieSet(name, cookieInput) {
+  if (typeof name !== 'string' || !SET_NAME_PATTERN.test(name)) {
+    throw new Error('Cookie set name must be 1-64 lowercase letters, digits, "-" or "_"');
+  }
+
+  const cookies = parseCookies(cookieInput);
+  if (cookies.length === 0) {
+    throw new Error('No cookies to store');
+  }
+
+  const vault = readVault();
+  const key = deriveKey(config.cookieVault.key, vault.salt);
+  const now = new Date().toISOString();
+
+  vault.sets[name] = {
+    ...encryptCookies(key, name, cookies),
+    cookieCount: cookies.length,
+    createdAt: vault.sets[name]?.createdAt || now,
+    updatedAt: now,
+  };
+  writeVault(vault);
+  console.log(`[CookieVault] Stored ${cookies.length} cookies as "${name}"`);
+
+  return {
+    name,
+    cookieCount: cookies.length,
+    expiry: checkCookieExpiry(cookies),
+  };
+}
+
+/**
+ * Load a cookie set
+ * @param {string} name - Set name
+ * @returns {Array|null} Cookies, or null if there is no such set
+ */
+export function getCookieSet(name) {
+  const vault = readVault();
+  const entry = vault.sets[name];
+  if (!entry) return null;
+
+  return decryptCookies(deriveKey(config.cookieVault.key, vault.salt), name, entry);
+}
+
+/**
+ * List stored cookie sets with their expiry
+ * @returns {Array<Object>} { name, cookieCount, createdAt, updatedAt, authCookie, expiresAt, daysRemaining, warningLevel }
+ */
+export function listCookieSets() {
+  const vault = readVault();
+  const names = Object.keys(vault.sets).sort();
+  if (names.length === 0) return [];
+
+  const key = deriveKey(config.cookieVault.key, vault.salt);
+
+  return names.map((name) => {
+    const entry = vault.sets[name];
+    const expiry = checkCookieExpiry(decryptCookies(key, name, entry));
+
+    return {
+      name,
+      cookieCount: entry.cookieCount,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      authCookie: expiry.authCookie,
+      expiresAt: expiry.expiresAt,
+      daysRemaining: expiry.daysRemaining,
+      warningLevel: expiry.warningLevel || null,
+    };
+  });
+}
+
+/**
+ * Delete a cookie set
+ * @param {string} name - Set name
+ * @returns {boolean} True if it existed
+ */
+export function deleteCookieSet(name) {
+  const vault = readVault();
+  if (!vault.sets[name]) return false;
+
+  delete vault.sets[name];
+  writeVault(vault);
+  console.log(`[CookieVault] Deleted "${name}"`);
+  return true;
+}
+
+/**
+ * Re-encrypt every cookie set under a new key
+ * Decrypts everything with the current COOKIE_VAULT_KEY first, so a wrong
+ * current key fails before anything is written. Cookies sealed for queued
+ * jobs (sealCookies) are not re-encrypted: those jobs fail and need queueing
+ * again.
+ * @param {string} newKey - New COOKIE_VAULT_KEY value
+ * @returns {number} Number of sets re-encrypted
+ */
+export function rotateVaultKey(newKey) {
+  if (!newKey) {
+    throw new Error('A new key is required');
+  }
+
+  const vault = readVault();
+  const oldKey = deriveKey(config.cookieVault.key, vault.salt);
+  const decrypted = Object.entries(vault.sets).map(([name, entry]) => [
+    name,
+    entry,
+    decryptCookies(oldKey, name, entry),
+  ]);
+
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = deriveKey(newKey, salt);
+  const sets = {};
+  for (const [name, entry, cookies] of decrypted) {
+    sets[name] = {
+      ...entry,
+      ...encryptCookies(key, name, cookies),
+    };
+  }
+
+  writeVault({ ...vault, salt, sets });
+  derivedKeys.clear();
+  console.log(`[CookieVault] Re-encrypted ${decrypted.length} cookie sets with the new key`);
+  return decrypted.length;
+}
+
+export default {
+  isVaultConfigured,
+  readCookieExport,
+  sealCookies,
+  isSealedWithCurrentKey,
+  openSealedCookies,
+  saveCookieSet,
+  getCookieSet,
+  listCookieSets,
+  deleteCookieSet,
+  rotateVaultKey,
+};
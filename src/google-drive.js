@@ -3,6 +3,8 @@ import { config } from './config.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as readline from 'readline';
+import { VIDEO_FORMATS, PREVIEW_FILES } from './post-process.js';
+import { TRACK_FILES } from './timeline-tracks.js';
 
 const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
 const TOKEN_PATH = path.join(process.cwd(), 'config', 'google-token.json');
@@ -176,14 +178,15 @@ export async function createFolder(folderName, parentFolderId = null) {
 /**
  * Get or create a date-based folder structure
  * @param {Date} date - Date for folder name
+ * @param {string} parentFolderId - Parent folder (default: GOOGLE_DRIVE_FOLDER_ID)
  * @returns {Promise<string>} Folder ID
  */
-export async function getOrCreateDateFolder(date = new Date()) {
+export async function getOrCreateDateFolder(date = new Date(), parentFolderId = null) {
   const auth = await getAuthClient();
   const drive = google.drive({ version: 'v3', auth });
 
   const folderName = date.toISOString().split('T')[0]; // YYYY-MM-DD
-  const parentId = config.googleDrive.folderId;
+  const parentId = parentFolderId || config.googleDrive.folderId;
 
   // Check if folder already exists
   const query = `name='${folderName}' and mimeType='application/vnd.google-apps.folder'${
@@ -208,14 +211,50 @@ export async function getOrCreateDateFolder(date = new Date()) {
  * @param {Buffer} videoBuffer - Video content
  * @param {string} sessionId - Clarity session ID
  * @param {Date} recordingDate - Date of the recording
- * @returns {Promise<Object>} Upload result
+ * @param {Object} options - Upload options
+ * @param {string} options.folderId - Parent folder for the date folders (default: GOOGLE_DRIVE_FOLDER_ID)
+ * @param {string} options.format - Video format, 'webm' or 'mp4' (see post-process.js)
+ * @param {Object} options.previews - Preview images to upload alongside, { poster, contactSheet, gif }
+ * @param {Object} options.tracks - WebVTT timeline tracks to upload alongside, { chapters, events }
+ * @returns {Promise<Object>} Upload result, with previews { poster: { fileId, webViewLink }, ... }
+ *          and tracks { chapters: { fileId, webViewLink }, ... } when any were uploaded
+ *          (a failed preview or track upload is logged and left out)
  */
-export async function uploadRecording(videoBuffer, sessionId, recordingDate = new Date()) {
-  const folderId = await getOrCreateDateFolder(recordingDate);
-  // Browserless returns WebM format video
-  const fileName = `${sessionId}.webm`;
+export async function uploadRecording(videoBuffer, sessionId, recordingDate = new Date(), {
+  folderId: parentFolderId,
+  format = 'webm',
+  previews = {},
+  tracks = {},
+} = {}) {
+  const folderId = await getOrCreateDateFolder(recordingDate, parentFolderId);
+  const { extension, mimeType } = VIDEO_FORMATS[format] || VIDEO_FORMATS.webm;
+
+  const result = await uploadFile(videoBuffer, `${sessionId}.${extension}`, mimeType, folderId);
+
+  const uploadAlongside = async (files, types) => {
+    const uploaded = {};
+    for (const [kind, content] of Object.entries(files)) {
+      const { suffix, mimeType: fileType } = types[kind];
+      try {
+        const { fileId, webViewLink } = await uploadFile(content, `${sessionId}.${suffix}`, fileType, folderId);
+        uploaded[kind] = { fileId, webViewLink };
+      } catch (error) {
+        console.error(`[Drive] Failed to upload ${sessionId}.${suffix}: ${error.message}`);
+      }
+    }
+    return Object.keys(uploaded).length > 0 ? uploaded : null;
+  };
+
+  const uploadedPreviews = await uploadAlongside(previews, PREVIEW_FILES);
+  if (uploadedPreviews) {
+    result.previews = uploadedPreviews;
+  }
+  const uploadedTracks = await uploadAlongside(tracks, TRACK_FILES);
+  if (uploadedTracks) {
+    result.tracks = uploadedTracks;
+  }
 
-  return uploadFile(videoBuffer, fileName, 'video/webm', folderId);
+  return result;
 }
 
 /**
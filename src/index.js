@@ -9,17 +9,32 @@
 
 export { config, validateConfig } from './config.js';
 export {
+  createClarityClient,
   fetchDashboardInsights,
   fetchSessionRecordings,
+  iterateSessionRecordings,
   parseDuration,
+  estimatePlaybackMs,
   testConnection as testClarityConnection
 } from './clarity-api.js';
 export {
   connectToBrowserless,
   takeScreenshot,
   recordClaritySession,
+  normalizePlaybackOptions,
   testConnection as testBrowserlessConnection
 } from './browserless.js';
+export {
+  parseRecordingFilters,
+  matchesRecordingFilters,
+} from './recording-filters.js';
+export {
+  saveCookieSet,
+  getCookieSet,
+  listCookieSets,
+  deleteCookieSet,
+  rotateVaultKey,
+} from './cookie-vault.js';
 export {
   getAuthClient,
   authorizeInteractive,
@@ -46,6 +61,7 @@ Available commands:
   npm run auth:google       Authorize Google Drive access
   npm run capture:single    Capture a single recording
   npm run capture:batch     Capture multiple recordings
+  npm run queue:cancel      Cancel a job on the capture server
 
 For more information, run any command with --help
 
@@ -0,0 +1,126 @@
+/**
+ * Durable Job Store
+ *
+ * Append-only JSON journal (one event per line) backing the job queue:
+ * - job_created: full job snapshot plus the params needed to re-run it
+ * - job_updated: state transitions and other field changes
+ * - recording_result: per-recording results (and live progress counts) as they finish
+ * - job_removed: job dropped by cleanup
+ *
+ * On boot the journal is replayed to rebuild every job, then compacted
+ * to one snapshot per job so it does not grow forever. Params can reference
+ * credentials (profile, cookie set, sealed cookies), so the journal is
+ * readable by the owner only.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { config } from './config.js';
+
+const JOURNAL_PATH = path.join(config.storage.dataDir, 'jobs.jsonl');
+
+/**
+ * Make sure the journal directory exists
+ */
+function ensureJournalDir() {
+  const dir = path.dirname(JOURNAL_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Append an event to the journal
+ * Persistence failures are logged but never break job processing.
+ * @param {string} type - Event type (job_created, job_updated, ...)
+ * @param {Object} data - Event data (must include jobId or job)
+ */
+export function appendJobEvent(type, data) {
+  try {
+    ensureJournalDir();
+    const entry = { type, at: new Date().toISOString(), ...data };
+    fs.appendFileSync(JOURNAL_PATH, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  } catch (error) {
+    console.error(`[JobStore] Failed to write ${type} event: ${error.message}`);
+  }
+}
+
+/**
+ * Replay the journal into job snapshots
+ * @returns {Map<string, {job: Object, params: Object|null}>} jobId -> stored job
+ */
+export function loadJobs() {
+  const jobs = new Map();
+
+  if (!fs.existsSync(JOURNAL_PATH)) {
+    return jobs;
+  }
+
+  const lines = fs.readFileSync(JOURNAL_PATH, 'utf-8').split('\n');
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line
+      console.error('[JobStore] Skipping corrupt journal line');
+      continue;
+    }
+
+    switch (event.type) {
+      case 'job_created':
+        jobs.set(event.job.id, { job: event.job, params: event.params || null });
+        break;
+
+      case 'job_updated': {
+        const stored = jobs.get(event.jobId);
+        if (stored) Object.assign(stored.job, event.updates);
+        break;
+      }
+
+      case 'recording_result': {
+        const stored = jobs.get(event.jobId);
+        if (stored) {
+          stored.job.results.push(event.result);
+          if (event.progress) Object.assign(stored.job, event.progress);
+        }
+        break;
+      }
+
+      case 'job_removed':
+        jobs.delete(event.jobId);
+        break;
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Rewrite the journal with one snapshot per job
+ * @param {Map<string, {job: Object, params: Object|null}>} jobs - Jobs to keep
+ */
+export function compactJournal(jobs) {
+  try {
+    ensureJournalDir();
+    const at = new Date().toISOString();
+    const lines = Array.from(jobs.values()).map(({ job, params }) =>
+      JSON.stringify({ type: 'job_created', at, job, params })
+    );
+
+    const tmpPath = `${JOURNAL_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', { mode: 0o600 });
+    fs.renameSync(tmpPath, JOURNAL_PATH);
+  } catch (error) {
+    console.error(`[JobStore] Failed to compact journal: ${error.message}`);
+  }
+}
+
+export default {
+  appendJobEvent,
+  loadJobs,
+  compactJournal,
+};
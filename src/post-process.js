@@ -0,0 +1,497 @@
+/**
+ * Recording Post-Processing
+ *
+ * Runs after recordClaritySession and before a recording is saved or
+ * uploaded, using a local ffmpeg binary:
+ *
+ * - Trimming: every capture starts with the post-play wait and player
+ *   chrome, and ends with up to the duration buffer of frozen frame.
+ *   ffmpeg's freezedetect finds static stretches at either end and they
+ *   are cut (on by default; TRIM_RECORDINGS=false or trim: false turn it off).
+ * - MP4: Browserless (and the local backend) produce WebM, which
+ *   PowerPoint, Slack previews and iOS can't play, so recordings can be
+ *   transcoded to MP4 (H.264 by default).
+ * - Previews: a poster frame, a contact sheet of evenly spaced frames and a
+ *   short low-res GIF of the whole recording, stored next to the video
+ *   (PREVIEWS=false turns them off).
+ *
+ * Every step fails soft: if ffmpeg is missing or fails, the recording is
+ * kept as captured and the result says why (trimError, transcodeError,
+ * previewError), so a captured recording is never lost to post-processing.
+ */
+
+import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { config } from './config.js';
+import { buildTimelineTracks, TRACK_FILES } from './timeline-tracks.js';
+
+export const VIDEO_FORMATS = {
+  webm: { extension: 'webm', mimeType: 'video/webm' },
+  mp4: { extension: 'mp4', mimeType: 'video/mp4' },
+};
+
+// Preview images, stored as <sessionId>.<suffix> next to the video
+export const PREVIEW_FILES = {
+  poster: { suffix: 'poster.jpg', mimeType: 'image/jpeg' },
+  contactSheet: { suffix: 'contact-sheet.jpg', mimeType: 'image/jpeg' },
+  gif: { suffix: 'preview.gif', mimeType: 'image/gif' },
+};
+
+// Preview sizes: poster width cap, contact sheet tile width, GIF width and frame rate
+const POSTER_MAX_WIDTH = 1280;
+const CONTACT_SHEET_TILE_WIDTH = 320;
+const GIF_WIDTH = 320;
+const GIF_FPS = 5;
+
+// A static stretch starting/ending this close to the edge counts as lead-in/tail
+const EDGE_TOLERANCE_SECONDS = 0.5;
+
+// Static time left in at each cut, so the video doesn't start or end abruptly
+const TRIM_PADDING_SECONDS = 0.5;
+
+// Don't bother cutting less than this
+const MIN_CUT_SECONDS = 1;
+
+/**
+ * Validate an output format
+ * @param {string} format - 'webm' or 'mp4' (default: OUTPUT_FORMAT)
+ * @returns {string} Lowercased format
+ */
+export function normalizeOutputFormat(format = config.media.outputFormat) {
+  const normalized = typeof format === 'string' ? format.trim().toLowerCase() : format;
+  if (!VIDEO_FORMATS[normalized]) {
+    throw new Error(`format must be one of ${Object.keys(VIDEO_FORMATS).join(', ')} (got ${format})`);
+  }
+  return normalized;
+}
+
+/**
+ * Run ffmpeg to completion
+ * @param {Array<string>} args - ffmpeg arguments
+ * @param {Object} options - Options
+ * @param {string} options.loglevel - ffmpeg log level (default: 'error')
+ * @returns {Promise<string>} ffmpeg's stderr (its log)
+ */
+function runFfmpeg(args, { loglevel = 'error' } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(config.media.ffmpegPath, ['-hide_banner', '-loglevel', loglevel, '-y', ...args]);
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`Could not run ffmpeg (${config.media.ffmpegPath}): ${error.message}. Install ffmpeg or set FFMPEG_PATH.`));
+    });
+    ffmpeg.on('close', (code) => {
+      if (code === 0) resolve(stderr);
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').slice(-5).join('\n')}`));
+    });
+  });
+}
+
+/**
+ * Find static stretches in a video with ffmpeg's freezedetect filter
+ * @param {string} inputPath - Video file
+ * @returns {Promise<Object>} { durationSeconds, freezes: [{ start, end }] } (end is null
+ *          for a stretch that runs to the end of the video)
+ */
+async function detectStaticSegments(inputPath) {
+  const log = await runFfmpeg([
+    '-i', inputPath,
+    '-map', '0:v:0',
+    '-vf', `freezedetect=n=${config.media.trimNoise}:d=${config.media.trimMinStaticSeconds}`,
+    '-f', 'null',
+    '-',
+  ], { loglevel: 'info' });
+
+  const freezes = [];
+  for (const [, kind, seconds] of log.matchAll(/lavfi\.freezedetect\.freeze_(start|end): ([\d.]+)/g)) {
+    if (kind === 'start') {
+      freezes.push({ start: parseFloat(seconds), end: null });
+    } else if (freezes.length > 0) {
+      freezes[freezes.length - 1].end = parseFloat(seconds);
+    }
+  }
+
+  return { durationSeconds: parseDecodedDuration(log), freezes };
+}
+
+/**
+ * Read a video's duration from the log of a full decode
+ * WebM from MediaRecorder often has no duration header, so this uses how far
+ * the decode got (the last progress line).
+ * @param {string} log - ffmpeg log at loglevel info
+ * @returns {number} Duration in seconds
+ */
+function parseDecodedDuration(log) {
+  const times = Array.from(log.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g));
+  if (times.length === 0) {
+    throw new Error('Could not determine the video duration');
+  }
+  const [, hours, minutes, seconds] = times[times.length - 1];
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Measure a video's duration by decoding it
+ * @param {string} inputPath - Video file
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function measureDuration(inputPath) {
+  const log = await runFfmpeg(['-i', inputPath, '-map', '0:v:0', '-f', 'null', '-'], { loglevel: 'info' });
+  return parseDecodedDuration(log);
+}
+
+/**
+ * Find where the static lead-in ends
+ * @param {Object} analysis - Result of detectStaticSegments
+ * @returns {number} Seconds into the video, or 0 if it doesn't start static
+ */
+function getLeadInEnd({ freezes }) {
+  const first = freezes[0];
+  return first && first.start <= EDGE_TOLERANCE_SECONDS && first.end !== null ? first.end : 0;
+}
+
+/**
+ * Work out which part of a video to keep
+ * @param {Object} analysis - Result of detectStaticSegments
+ * @returns {Object|null} { start, end } in seconds, or null if there's nothing worth cutting
+ */
+function getTrimRange({ durationSeconds, freezes }) {
+  let start = 0;
+  let end = durationSeconds;
+
+  const leadInEnd = getLeadInEnd({ freezes });
+  if (leadInEnd > 0) {
+    start = Math.max(0, leadInEnd - TRIM_PADDING_SECONDS);
+  }
+
+  const last = freezes[freezes.length - 1];
+  if (last && (last.end === null || last.end >= durationSeconds - EDGE_TOLERANCE_SECONDS) && last.start > start) {
+    end = Math.min(durationSeconds, last.start + TRIM_PADDING_SECONDS);
+  }
+
+  if (start + (durationSeconds - end) < MIN_CUT_SECONDS || end - start < MIN_CUT_SECONDS) {
+    return null;
+  }
+  return { start, end };
+}
+
+/**
+ * Build the ffmpeg scale filter for MP4_MAX_RESOLUTION
+ * Scales down (never up) keeping the aspect ratio; H.264 with yuv420p
+ * also needs even dimensions.
+ * @returns {string} Filter graph for -vf
+ */
+function scaleFilter() {
+  const even = 'scale=trunc(iw/2)*2:trunc(ih/2)*2,setsar=1';
+  const match = /^(\d+)x(\d+)$/i.exec(config.media.mp4MaxResolution || '');
+  if (!match) return even;
+
+  const [, width, height] = match;
+  return `scale='min(iw,${width})':'min(ih,${height})':force_original_aspect_ratio=decrease,${even}`;
+}
+
+/**
+ * Input options selecting part of the video
+ * @param {Object|null} range - { start, end } in seconds
+ * @returns {Array<string>} ffmpeg arguments (before -i)
+ */
+function rangeArgs(range) {
+  return range ? ['-ss', range.start.toFixed(3), '-to', range.end.toFixed(3)] : [];
+}
+
+/**
+ * Transcode a WebM file to MP4, optionally cutting it
+ * +faststart puts the moov atom up front, so players can start before the
+ * whole file loads (and is why the output has to be a file, not a pipe).
+ * @param {string} inputPath - WebM file
+ * @param {string} outputPath - MP4 file to write
+ * @param {Object|null} range - Part to keep, { start, end } in seconds
+ */
+async function transcodeToMp4(inputPath, outputPath, range) {
+  await runFfmpeg([
+    ...rangeArgs(range),
+    '-i', inputPath,
+    '-c:v', config.media.mp4Codec,
+    '-crf', String(config.media.mp4Crf),
+    '-preset', config.media.mp4Preset,
+    '-vf', scaleFilter(),
+    '-pix_fmt', 'yuv420p',
+    '-an', // Recordings have no audio
+    '-movflags', '+faststart',
+    outputPath,
+  ]);
+}
+
+/**
+ * Cut a WebM file
+ * Re-encodes (with the local backend's fast VP8 settings): captured WebM has
+ * keyframes too far apart for a stream copy to start anywhere near the cut.
+ * @param {string} inputPath - WebM file
+ * @param {string} outputPath - WebM file to write
+ * @param {Object} range - Part to keep, { start, end } in seconds
+ */
+async function cutWebm(inputPath, outputPath, range) {
+  await runFfmpeg([
+    ...rangeArgs(range),
+    '-i', inputPath,
+    '-map', '0:v:0',
+    '-c:v', 'libvpx',
+    '-b:v', '2M',
+    '-deadline', 'realtime',
+    '-cpu-used', '8',
+    '-pix_fmt', 'yuv420p',
+    outputPath,
+  ]);
+}
+
+/**
+ * Render the preview images for a video
+ * The GIF samples the whole recording rather than its first seconds, so it
+ * plays back as a sped-up summary.
+ * @param {string} inputPath - Final video file
+ * @param {number} durationSeconds - Its duration
+ * @param {string} dir - Directory to write the images to
+ * @returns {Promise<Object>} { poster, contactSheet, gif } file contents
+ */
+async function renderPreviews(inputPath, durationSeconds, dir) {
+  const duration = Math.max(durationSeconds, 0.1);
+  const files = {};
+  for (const [kind, { suffix }] of Object.entries(PREVIEW_FILES)) {
+    files[kind] = path.join(dir, suffix);
+  }
+
+  // A third of the way in is usually past page load and into the session
+  await runFfmpeg([
+    '-ss', (duration / 3).toFixed(3),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-vf', `scale='min(iw,${POSTER_MAX_WIDTH})':-2`,
+    '-q:v', '3',
+    files.poster,
+  ]);
+
+  const frames = config.media.contactSheetFrames;
+  const columns = Math.ceil(Math.sqrt(frames));
+  const rows = Math.ceil(frames / columns);
+  await runFfmpeg([
+    '-i', inputPath,
+    '-vf', `fps=${frames}/${duration.toFixed(3)},scale=${CONTACT_SHEET_TILE_WIDTH}:-2,tile=${columns}x${rows}`,
+    '-frames:v', '1',
+    '-q:v', '4',
+    files.contactSheet,
+  ]);
+
+  const sampleFps = Math.min(GIF_FPS, (config.media.previewGifSeconds * GIF_FPS) / duration);
+  await runFfmpeg([
+    '-i', inputPath,
+    '-vf', [
+      `fps=${sampleFps.toFixed(4)}`,
+      `setpts=N/(${GIF_FPS}*TB)`,
+      `scale=${GIF_WIDTH}:-2:flags=lanczos`,
+      'split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse',
+    ].join(','),
+    '-loop', '0',
+    files.gif,
+  ]);
+
+  const previews = {};
+  for (const [kind, file] of Object.entries(files)) {
+    previews[kind] = await fs.promises.readFile(file);
+  }
+  return previews;
+}
+
+/**
+ * Post-process a captured recording
+ * @param {Buffer|ArrayBuffer} video - WebM video from recordClaritySession
+ * @param {Object} options - Options
+ * @param {string} options.format - Output format, 'webm' or 'mp4' (default: OUTPUT_FORMAT)
+ * @param {boolean} options.trim - Cut static lead-in and tail frames (default: TRIM_RECORDINGS)
+ * @param {boolean} options.previews - Render preview images (default: PREVIEWS)
+ * @param {boolean} options.tracks - Build WebVTT chapter and event tracks (default: TIMELINE_TRACKS)
+ * @param {Object} options.recording - Recording from fetchSessionRecordings, for the tracks
+ * @param {Object} options.playback - Player settings the capture ran with { playbackSpeed, skipInactivity }
+ * @param {string} options.label - Name for log lines (e.g. the session ID)
+ * @returns {Promise<Object>} { video: Buffer, extension, mimeType, previews, tracks, details }, where
+ *          previews maps poster / contactSheet / gif to image contents and tracks maps chapters /
+ *          events to WebVTT contents ({} if none), and details holds the fields for the capture result:
+ *          format, trim { originalDurationSeconds, durationSeconds, startSeconds, endSeconds }, and
+ *          trimError / transcodeError / previewError / tracksError if a step failed
+ */
+export async function postProcessRecording(video, {
+  format,
+  trim = config.media.trim,
+  previews = config.media.previews,
+  tracks = config.media.timelineTracks,
+  recording = null,
+  playback = null,
+  label = 'recording',
+} = {}) {
+  const requested = normalizeOutputFormat(format);
+  const original = Buffer.from(video);
+  const details = { format: 'webm' };
+
+  // Where session playback starts in the stored video, and how long the video is
+  const timing = { playbackStartSeconds: 0, durationSeconds: null };
+  const finish = (output, images) => ({
+    video: output,
+    ...VIDEO_FORMATS[details.format],
+    previews: images,
+    tracks: tracks && recording ? buildTracks(recording, playback, timing, details, label) : {},
+    details,
+  });
+
+  if (requested === 'webm' && !trim && !previews) {
+    return finish(original, {});
+  }
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clarity-postprocess-'));
+  const input = path.join(dir, 'input.webm');
+  let outputPath = input;
+  let analysis = null;
+  let range = null;
+
+  try {
+    await fs.promises.writeFile(input, original);
+
+    if (trim) {
+      try {
+        analysis = await detectStaticSegments(input);
+        range = getTrimRange(analysis);
+        details.trim = {
+          originalDurationSeconds: round(analysis.durationSeconds),
+          durationSeconds: round(range ? range.end - range.start : analysis.durationSeconds),
+          startSeconds: round(range?.start ?? 0),
+          endSeconds: round(range?.end ?? analysis.durationSeconds),
+        };
+      } catch (error) {
+        details.trimError = error.message;
+        console.error(`[PostProcess] ${label}: trim analysis failed, keeping the full video: ${error.message}`);
+      }
+    }
+
+    let cutStart = 0;
+    if (requested === 'mp4') {
+      const startedAt = Date.now();
+      const mp4Path = path.join(dir, 'output.mp4');
+      try {
+        await transcodeToMp4(input, mp4Path, range);
+        console.log(`[PostProcess] ${label}: transcoded to MP4 in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+        outputPath = mp4Path;
+        details.format = 'mp4';
+        cutStart = range?.start ?? 0;
+        range = null; // Already cut
+      } catch (error) {
+        details.transcodeError = error.message;
+        console.error(`[PostProcess] ${label}: MP4 transcode failed, keeping WebM: ${error.message}`);
+      }
+    }
+
+    if (range) {
+      const webmPath = path.join(dir, 'output.webm');
+      try {
+        await cutWebm(input, webmPath, range);
+        outputPath = webmPath;
+        cutStart = range.start;
+      } catch (error) {
+        details.trimError = error.message;
+        details.trim.durationSeconds = details.trim.originalDurationSeconds;
+        details.trim.startSeconds = 0;
+        details.trim.endSeconds = details.trim.originalDurationSeconds;
+        console.error(`[PostProcess] ${label}: trim failed, keeping the full video: ${error.message}`);
+      }
+    }
+
+    if (details.trim && details.trim.durationSeconds < details.trim.originalDurationSeconds) {
+      console.log(`[PostProcess] ${label}: trimmed ${details.trim.originalDurationSeconds}s to ${details.trim.durationSeconds}s`);
+    }
+
+    if (analysis) {
+      // Playback shows up as the end of the static lead-in
+      timing.playbackStartSeconds = Math.max(0, getLeadInEnd(analysis) - cutStart);
+      timing.durationSeconds = details.trim.durationSeconds;
+    }
+
+    let images = {};
+    if (previews) {
+      try {
+        timing.durationSeconds ??= await measureDuration(outputPath);
+        images = await renderPreviews(outputPath, timing.durationSeconds, dir);
+      } catch (error) {
+        details.previewError = error.message;
+        console.error(`[PostProcess] ${label}: previews failed: ${error.message}`);
+      }
+    }
+
+    return finish(outputPath === input ? original : await fs.promises.readFile(outputPath), images);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Build the WebVTT tracks for a recording
+ * @param {Object} recording - Recording from fetchSessionRecordings
+ * @param {Object|null} playback - Player settings the capture ran with
+ * @param {Object} timing - { playbackStartSeconds, durationSeconds } of the stored video
+ * @param {Object} details - Result details (tracksError is added on failure)
+ * @param {string} label - Name for log lines
+ * @returns {Object} { chapters, events } WebVTT contents, or {} if there's nothing to place
+ */
+function buildTracks(recording, playback, timing, details, label) {
+  try {
+    const tracks = buildTimelineTracks(recording, { playbackSpeed: playback?.playbackSpeed || 1, ...timing }) || {};
+    return Object.fromEntries(Object.entries(tracks).map(([kind, text]) => [kind, Buffer.from(text)]));
+  } catch (error) {
+    details.tracksError = error.message;
+    console.error(`[PostProcess] ${label}: timeline tracks failed: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save a post-processed recording with its previews and timeline tracks
+ * They go next to the video as <name>.<suffix> (e.g. abc123.poster.jpg, abc123.chapters.vtt).
+ * @param {Object} processed - Result of postProcessRecording
+ * @param {string} videoPath - Where to write the video
+ * @returns {Object} { previews, tracks } paths ({ poster: { path }, ... }), each null if there are none
+ */
+export function saveRecording(processed, videoPath) {
+  fs.writeFileSync(videoPath, processed.video);
+
+  const base = videoPath.replace(/\.[^./\\]+$/, '');
+  const save = (files, types) => {
+    const saved = {};
+    for (const [kind, content] of Object.entries(files)) {
+      const filePath = `${base}.${types[kind].suffix}`;
+      fs.writeFileSync(filePath, content);
+      saved[kind] = { path: filePath };
+    }
+    return Object.keys(saved).length > 0 ? saved : null;
+  };
+
+  return {
+    previews: save(processed.previews, PREVIEW_FILES),
+    tracks: save(processed.tracks, TRACK_FILES),
+  };
+}
+
+/**
+ * Round seconds for results
+ * @param {number} seconds - Seconds
+ * @returns {number} Seconds to 2 decimal places
+ */
+function round(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+export default {
+  VIDEO_FORMATS,
+  PREVIEW_FILES,
+  normalizeOutputFormat,
+  postProcessRecording,
+  saveRecording,
+};
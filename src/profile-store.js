@@ -0,0 +1,328 @@
+/**
+ * Customer Profile Store
+ *
+ * Named profiles (e.g. "acme") holding everything a capture request for
+ * that customer needs: Clarity token and project ID, session cookies
+ * (inline or as the name of a cookie set in the encrypted vault), Google
+ * Drive folder, Slack webhook and default capture options. Requests
+ * reference a profile by name instead of shipping credentials every time.
+ *
+ * Profiles live in DATA_DIR/profiles.json, written atomically. The file
+ * holds live credentials, so keep DATA_DIR private; API responses only ever
+ * include redacted profiles (see toPublicProfile()).
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { config } from './config.js';
+import { parseCookies, checkCookieExpiry } from './cookie-utils.js';
+import { normalizePlaybackOptions } from './browserless.js';
+import { parseRecordingFilters } from './recording-filters.js';
+import { normalizeOutputFormat } from './post-process.js';
+import { JOB_PRIORITIES } from './queue-manager.js';
+
+const PROFILES_PATH = path.join(config.storage.dataDir, 'profiles.json');
+
+// Profile names are used in URLs and logs
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Cookie expiry notifications are only ever posted to Slack
+const SLACK_WEBHOOK_PREFIX = 'https://hooks.slack.com/';
+
+const CREDENTIAL_FIELDS = [
+  'clarityToken',
+  'projectId',
+  'clarityCookies',
+  'cookieSet',
+  'driveFolderId',
+  'slackWebhookUrl',
+];
+const DEFAULT_FIELDS = [
+  'count',
+  'maxConcurrent',
+  'uploadToGdrive',
+  'webhookUrl',
+  'playbackSpeed',
+  'skipInactivity',
+  'format',
+  'trim',
+  'filters',
+  'priority',
+];
+
+let profiles = null; // name -> profile, loaded on first use
+
+/**
+ * Load profiles from disk (once)
+ * @returns {Map<string, Object>} name -> profile
+ */
+function loadProfiles() {
+  if (profiles) return profiles;
+
+  profiles = new Map();
+  if (fs.existsSync(PROFILES_PATH)) {
+    const stored = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf-8'));
+    for (const profile of stored) {
+      profiles.set(profile.name, profile);
+    }
+    console.log(`[Profiles] Loaded ${profiles.size} profiles`);
+  }
+  return profiles;
+}
+
+/**
+ * Write all profiles to disk
+ */
+function saveProfiles() {
+  const dir = path.dirname(PROFILES_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = `${PROFILES_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(Array.from(profiles.values()), null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, PROFILES_PATH);
+}
+
+/**
+ * Validate profile fields
+ * @param {Object} input - Raw fields from a request body
+ * @returns {Object} Validated { credentials, defaults } (only fields that were set)
+ */
+function validateProfileFields(input) {
+  const allowed = [...CREDENTIAL_FIELDS, 'displayName', 'defaults'];
+  const unknown = Object.keys(input).filter((key) => !allowed.includes(key) && key !== 'name');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown profile field(s): ${unknown.join(', ')}`);
+  }
+
+  const fields = {};
+
+  for (const key of ['clarityToken', 'projectId', 'cookieSet', 'driveFolderId', 'slackWebhookUrl', 'displayName']) {
+    if (input[key] === undefined) continue;
+    if (input[key] !== null && typeof input[key] !== 'string') {
+      throw new Error(`${key} must be a string`);
+    }
+    fields[key] = input[key];
+  }
+
+  if (fields.slackWebhookUrl && !fields.slackWebhookUrl.startsWith(SLACK_WEBHOOK_PREFIX)) {
+    throw new Error(`slackWebhookUrl must be a Slack incoming webhook (${SLACK_WEBHOOK_PREFIX}...)`);
+  }
+
+  if (input.clarityCookies !== undefined) {
+    if (input.clarityCookies !== null && parseCookies(input.clarityCookies).length === 0) {
+      throw new Error('clarityCookies must be a cookie array or cookie string');
+    }
+    fields.clarityCookies = input.clarityCookies;
+  }
+
+  if (input.defaults !== undefined) {
+    const defaults = input.defaults || {};
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+      throw new Error('defaults must be an object');
+    }
+
+    const unknownDefaults = Object.keys(defaults).filter((key) => !DEFAULT_FIELDS.includes(key));
+    if (unknownDefaults.length > 0) {
+      throw new Error(`Unknown default(s): ${unknownDefaults.join(', ')}. Supported: ${DEFAULT_FIELDS.join(', ')}`);
+    }
+
+    for (const key of ['count', 'maxConcurrent']) {
+      if (defaults[key] !== undefined && !(Number.isInteger(defaults[key]) && defaults[key] > 0)) {
+        throw new Error(`defaults.${key} must be a positive integer`);
+      }
+    }
+    for (const key of ['uploadToGdrive', 'trim']) {
+      if (defaults[key] !== undefined && typeof defaults[key] !== 'boolean') {
+        throw new Error(`defaults.${key} must be true or false`);
+      }
+    }
+    if (defaults.webhookUrl !== undefined && typeof defaults.webhookUrl !== 'string') {
+      throw new Error('defaults.webhookUrl must be a string');
+    }
+    if (defaults.priority !== undefined && !JOB_PRIORITIES.includes(defaults.priority)) {
+      throw new Error(`defaults.priority must be one of ${JOB_PRIORITIES.join(', ')}`);
+    }
+
+    const normalized = { ...defaults };
+    if (defaults.playbackSpeed !== undefined || defaults.skipInactivity !== undefined) {
+      const playback = normalizePlaybackOptions(defaults);
+      if (defaults.playbackSpeed !== undefined) normalized.playbackSpeed = playback.playbackSpeed;
+      if (defaults.skipInactivity !== undefined) normalized.skipInactivity = playback.skipInactivity;
+    }
+    if (defaults.format !== undefined) {
+      normalized.format = normalizeOutputFormat(defaults.format);
+    }
+    if (defaults.filters !== undefined) {
+      normalized.filters = parseRecordingFilters(defaults.filters);
+    }
+
+    fields.defaults = normalized;
+  }
+
+  return fields;
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ */
+function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error('Profile name must be 1-64 lowercase letters, digits, "-" or "_"');
+  }
+}
+
+/**
+ * Get a profile with its credentials (for running captures - never return this to clients)
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile or null
+ */
+export function getProfile(name) {
+  return loadProfiles().get(name) || null;
+}
+
+/**
+ * List all profiles
+ * @returns {Array<Object>} Profiles (with credentials)
+ */
+export function listProfiles() {
+  return Array.from(loadProfiles().values());
+}
+
+/**
+ * Create a profile
+ * @param {Object} input - Profile fields including name
+ * @returns {Object} Created profile
+ */
+export function createProfile(input = {}) {
+  validateProfileName(input.name);
+  const store = loadProfiles();
+  if (store.has(input.name)) {
+    throw new Error(`Profile "${input.name}" already exists`);
+  }
+
+  const now = new Date().toISOString();
+  const profile = {
+    name: input.name,
+    ...validateProfileFields(input),
+    createdAt: now,
+    updatedAt: now,
+  };
+  profile.defaults = profile.defaults || {};
+
+  store.set(profile.name, profile);
+  saveProfiles();
+  console.log(`[Profiles] Created profile ${profile.name}`);
+  return profile;
+}
+
+/**
+ * Update a profile
+ * Only the given fields change; null clears a field. defaults are replaced as a whole.
+ * @param {string} name - Profile name
+ * @param {Object} input - Fields to change
+ * @returns {Object|null} Updated profile, or null if it doesn't exist
+ */
+export function updateProfile(name, input = {}) {
+  const store = loadProfiles();
+  const profile = store.get(name);
+  if (!profile) return null;
+
+  if (input.name !== undefined && input.name !== name) {
+    throw new Error('Profiles cannot be renamed');
+  }
+
+  const fields = validateProfileFields(input);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) {
+      delete profile[key];
+    } else {
+      profile[key] = value;
+    }
+  }
+  profile.defaults = profile.defaults || {};
+  profile.updatedAt = new Date().toISOString();
+
+  saveProfiles();
+  console.log(`[Profiles] Updated profile ${name}`);
+  return profile;
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ * @returns {boolean} True if it existed
+ */
+export function deleteProfile(name) {
+  const store = loadProfiles();
+  if (!store.delete(name)) return false;
+
+  saveProfiles();
+  console.log(`[Profiles] Deleted profile ${name}`);
+  return true;
+}
+
+/**
+ * Redact a profile for API responses
+ * Secrets are replaced by flags; cookies by their count and expiry.
+ * @param {Object} profile - Profile
+ * @returns {Object} Profile safe to return to clients
+ */
+export function toPublicProfile(profile) {
+  const { clarityToken, clarityCookies, slackWebhookUrl, ...rest } = profile;
+  const cookies = parseCookies(clarityCookies);
+  const expiry = cookies.length > 0 ? checkCookieExpiry(cookies) : null;
+
+  return {
+    ...rest,
+    hasClarityToken: !!clarityToken,
+    hasSlackWebhook: !!slackWebhookUrl,
+    cookies: {
+      count: cookies.length,
+      expiresAt: expiry?.expiresAt || null,
+      daysRemaining: expiry?.daysRemaining ?? null,
+      warningLevel: expiry?.warningLevel || null,
+    },
+  };
+}
+
+/**
+ * Merge a capture request with the profile it references
+ * Fields set explicitly on the request win over the profile's credentials
+ * and defaults. Request cookies (clarityCookies or cookieSet) replace the
+ * profile's cookies entirely.
+ * @param {Object} profile - Profile
+ * @param {Object} body - Request body
+ * @returns {Object} Request body with the profile applied
+ */
+export function applyProfile(profile, body) {
+  const explicit = Object.fromEntries(
+    Object.entries(body).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  const cookies = explicit.clarityCookies || explicit.cookieSet
+    ? {}
+    : { clarityCookies: profile.clarityCookies, cookieSet: profile.cookieSet };
+
+  return {
+    ...profile.defaults,
+    clarityToken: profile.clarityToken,
+    projectId: profile.projectId,
+    ...cookies,
+    slackWebhookUrl: profile.slackWebhookUrl,
+    driveFolderId: profile.driveFolderId,
+    ...explicit,
+  };
+}
+
+export default {
+  getProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  toPublicProfile,
+  applyProfile,
+};
@@ -4,30 +4,81 @@
  * Implements JOB-LEVEL queueing:
  * - Only ONE job runs at a time (not interleaved)
  * - Each job gets its own dedicated folder
- * - Webhook fires when job completes with folder path
+ * - Webhook fires when job completes with folder path (signed and retried,
+ *   see webhook-delivery.js; every attempt is kept in job.webhookDeliveries)
  * - Subsequent jobs wait in queue until current job finishes
  *
  * Within a job, recordings can process in parallel (up to maxConcurrent).
+ *
+ * Every browser session in the process - queued jobs, /capture requests and
+ * connection tests - holds one of MAX_CONCURRENT_RECORDINGS browser slots
+ * while it is open (see acquireBrowserSlot), so the Browserless plan's
+ * concurrent-session limit is never exceeded.
+ *
+ * The next job is picked by priority lane (high, normal, bulk), then
+ * round-robin across tenants (profile or API key) within the lane, FIFO per
+ * tenant. A running job that has captured QUEUE_SLICE_SIZE recordings gives
+ * way to a waiting job of higher priority or of another tenant in its lane:
+ * it goes back in the queue and carries on, skipping what it already
+ * captured, when its turn comes round again.
+ *
+ * Jobs are journaled to disk (see job-store.js) so they survive restarts:
+ * queued jobs are re-queued on boot and jobs that were mid-processing are
+ * marked 'interrupted' so they can be resumed.
+ *
+ * Progress is published as job events (job_started, recording_started,
+ * recording_captured, recording_uploaded, recording_skipped, recording_failed, job_completed,
+ * job_cancelled) via subscribeToJob().
  */
 
+import { EventEmitter } from 'events';
 import pLimit from 'p-limit';
 import * as fs from 'fs';
 import * as path from 'path';
 import { config } from './config.js';
+import { appendJobEvent, loadJobs, compactJournal } from './job-store.js';
+import { deliverWebhook, generateDeliveryId } from './webhook-delivery.js';
 
 // Job queue (FIFO)
 const jobQueue = [];
 let currentJob = null;
+let currentController = null; // AbortController for the running job
+let currentSlice = null; // { started, yielded } for the running job
 let isProcessing = false;
 
+// Priority lanes, served in this order
+export const JOB_PRIORITIES = ['high', 'normal', 'bulk'];
+
+// Statuses after which a job never changes again
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Webhook deliveries kept in each job's log
+const MAX_WEBHOOK_DELIVERIES = 20;
+
 // Job tracking
 const allJobs = new Map(); // jobId -> job details
+const jobParams = new Map(); // jobId -> params needed to re-run the job (never exposed)
+const jobHandlers = new Map(); // job type -> async (job, params, context) => results
+const activeDeliveries = new Set(); // jobIds with a webhook delivery in progress
 let jobIdCounter = 0;
+const tenantLastServed = new Map(); // tenant -> sequence number of its last job start
+let serveSeq = 0;
+
+// Browser slots shared by every browser session in the process
+let browserSlotsInUse = 0;
+const browserSlotWaiters = []; // FIFO of { label, since, grant }
+
+// Live job events (one listener per subscriber, e.g. SSE clients)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let eventSeq = 0;
 
 // Stats
 let stats = {
   jobsCompleted: 0,
   jobsFailed: 0,
+  jobsCancelled: 0,
+  slicesYielded: 0,
   recordingsProcessed: 0,
 };
 
@@ -38,7 +89,12 @@ let stats = {
 function generateJobId() {
   const now = new Date();
   const timestamp = now.toISOString().replace(/[-:T]/g, '').slice(0, 14);
-  return `job_${timestamp}_${String(++jobIdCounter).padStart(3, '0')}`;
+  let jobId;
+  // Counter restarts with the process, so skip IDs restored from the journal
+  do {
+    jobId = `job_${timestamp}_${String(++jobIdCounter).padStart(3, '0')}`;
+  } while (allJobs.has(jobId));
+  return jobId;
 }
 
 /**
@@ -55,18 +111,131 @@ function createJobFolder(jobId, baseDir = './recordings') {
   return jobFolder;
 }
 
+/**
+ * Apply updates to a job and journal them
+ * @param {Object} job - Job object
+ * @param {Object} updates - Fields to update
+ */
+function persistJobUpdate(job, updates) {
+  Object.assign(job, updates);
+  appendJobEvent('job_updated', { jobId: job.id, updates });
+}
+
+/**
+ * Publish a job event to subscribers
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type (e.g. 'recording_started')
+ * @param {Object} data - Event data
+ */
+function emitJobEvent(jobId, type, data = {}) {
+  jobEvents.emit(jobId, {
+    id: ++eventSeq,
+    type,
+    jobId,
+    at: new Date().toISOString(),
+    ...data,
+  });
+}
+
+/**
+ * Subscribe to a job's live events
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each event object
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Check whether a job has reached a final status
+ * @param {Object} job - Job object
+ * @returns {boolean} True for completed, failed or cancelled jobs
+ */
+export function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * Record a single recording result on a job as soon as it finishes
+ * and update the job's progress counts
+ * @param {string} jobId - Job ID
+ * @param {Object} result - Recording result
+ */
+function recordJobResult(jobId, result) {
+  const job = allJobs.get(jobId);
+  if (!job) return;
+
+  job.results.push(result);
+
+  // Latest result per recording wins (a resumed job retries earlier failures)
+  const latest = Array.from(new Map(job.results.map(r => [r.sessionId, r])).values());
+  const progress = {
+    recordingsCompleted: latest.filter(r => r.success).length,
+    recordingsFailed: latest.filter(r => !r.success && !r.cancelled).length,
+  };
+  Object.assign(job, progress);
+
+  appendJobEvent('recording_result', { jobId, result, progress });
+}
+
+/**
+ * Register the processor for a job type
+ * Typed jobs can be re-run after a restart because their processor is
+ * looked up by type instead of being captured in a closure.
+ *
+ * @param {string} type - Job type (e.g. 'batch')
+ * @param {Function} handler - Async (job, params, { signal }) => results array
+ */
+export function registerJobHandler(type, handler) {
+  jobHandlers.set(type, handler);
+}
+
+/**
+ * Build the process function for a typed job
+ * @param {Object} job - Job object
+ * @returns {Function} Process function receiving the job
+ */
+function resolveJobHandler(job) {
+  const handler = jobHandlers.get(job.type);
+  if (!handler) {
+    throw new Error(`No handler registered for job type "${job.type}"`);
+  }
+  return (j, context) => handler(j, jobParams.get(j.id) || {}, context);
+}
+
 /**
  * Create a new job
  * @param {Object} options - Job options
+ * @param {string} options.type - Job type with a registered handler (needed to resume after restart)
+ * @param {Object} options.params - Handler params, persisted with the job but never exposed
+ * @param {Object} options.secrets - Handler params kept in memory only (merged over params),
+ *        for credentials that must not reach the journal; they are gone after a restart
+ * @param {string} options.profile - Customer profile the job was submitted with
+ * @param {string} options.createdBy - Name of the API key that submitted the job
+ * @param {string} options.priority - 'high', 'normal' (default) or 'bulk'
+ * @param {string} options.tenant - Who the job is for, for fair scheduling
+ *        (default: profile, then createdBy)
  * @returns {Object} Job object with id, folder, etc.
  */
 export function createJob(options = {}) {
+  const priority = options.priority || 'normal';
+  if (!JOB_PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of ${JOB_PRIORITIES.join(', ')} (got ${priority})`);
+  }
+
   const jobId = generateJobId();
   const baseDir = options.outputDir || './recordings';
   const jobFolder = createJobFolder(jobId, baseDir);
 
   const job = {
     id: jobId,
+    type: options.type || null,
+    profile: options.profile || null,
+    createdBy: options.createdBy || null,
+    priority,
+    tenant: options.tenant || options.profile || options.createdBy || 'default',
     status: 'queued',
     folder: jobFolder,
     createdAt: new Date().toISOString(),
@@ -83,6 +252,8 @@ export function createJob(options = {}) {
   };
 
   allJobs.set(jobId, job);
+  if (options.params || options.secrets) jobParams.set(jobId, { ...options.params, ...options.secrets });
+  appendJobEvent('job_created', { job, params: options.params || null });
   console.log(`[JobQueue] Created job ${jobId} with folder: ${jobFolder}`);
 
   return job;
@@ -105,10 +276,21 @@ export function getJobStatus(jobId) {
 export function updateJob(jobId, updates) {
   const job = allJobs.get(jobId);
   if (job) {
-    Object.assign(job, updates);
+    persistJobUpdate(job, updates);
   }
 }
 
+/**
+ * Get a job's position in the queue
+ * @param {string} jobId - Job ID
+ * @returns {number|null} 1-based queue position, 0 if running, null if neither
+ */
+export function getJobPosition(jobId) {
+  if (currentJob && currentJob.id === jobId) return 0;
+  const index = getQueueOrder().findIndex(q => q.job.id === jobId);
+  return index === -1 ? null : index + 1;
+}
+
 /**
  * Get queue status
  * @returns {Object} Queue statistics
@@ -118,39 +300,139 @@ export function getQueueStats() {
     currentJob: currentJob ? {
       id: currentJob.id,
       status: currentJob.status,
+      priority: currentJob.priority,
+      tenant: currentJob.tenant,
       recordingsCompleted: currentJob.recordingsCompleted,
       recordingsTotal: currentJob.recordingsTotal,
+      slices: (currentJob.slices || 0) + 1,
     } : null,
     queueLength: jobQueue.length,
-    queuedJobs: jobQueue.map(j => ({
+    // In the order they will start
+    queuedJobs: getQueueOrder().map((j, index) => ({
       id: j.job.id,
+      position: index + 1,
+      priority: j.job.priority,
+      tenant: j.job.tenant,
       recordingsTotal: j.job.recordingsTotal,
+      recordingsCompleted: j.job.recordingsCompleted,
     })),
+    lanes: Object.fromEntries(
+      JOB_PRIORITIES.map(priority => [priority, jobQueue.filter(j => j.job.priority === priority).length])
+    ),
+    sliceSize: config.processing.queueSliceSize,
     stats,
     maxConcurrent: config.processing.maxConcurrent,
+    browserSlots: {
+      limit: config.processing.maxConcurrent,
+      inUse: browserSlotsInUse,
+      waiting: browserSlotWaiters.length,
+      waiters: browserSlotWaiters.map(w => ({ label: w.label, waitingMs: Date.now() - w.since })),
+    },
   };
 }
 
 /**
  * Get all active/queued jobs
- * @returns {Array} List of jobs
+ * @returns {Array} List of jobs (running first, then in start order)
  */
 export function getActiveJobs() {
   const jobs = [];
   if (currentJob) jobs.push(currentJob);
-  jobQueue.forEach(q => jobs.push(q.job));
+  getQueueOrder().forEach(q => jobs.push(q.job));
   return jobs;
 }
 
+/**
+ * Lane rank of a job (0 = high)
+ * @param {Object} job - Job object
+ * @returns {number} Index into JOB_PRIORITIES
+ */
+function priorityRank(job) {
+  const rank = JOB_PRIORITIES.indexOf(job.priority);
+  return rank === -1 ? JOB_PRIORITIES.indexOf('normal') : rank;
+}
+
+/**
+ * Pick the queue entry to run next
+ * Highest lane first; within it, the tenant served longest ago; FIFO per tenant.
+ * @param {Array} entries - Queue entries
+ * @param {Map} lastServed - tenant -> sequence number of its last start
+ * @returns {number} Index into entries, or -1 if empty
+ */
+function pickNextIndex(entries, lastServed) {
+  let best = -1;
+  for (let i = 0; i < entries.length; i++) {
+    if (best === -1) {
+      best = i;
+      continue;
+    }
+    const job = entries[i].job;
+    const bestJob = entries[best].job;
+    const rankDiff = priorityRank(job) - priorityRank(bestJob);
+    const servedDiff = (lastServed.get(job.tenant) ?? -1) - (lastServed.get(bestJob.tenant) ?? -1);
+    if (rankDiff < 0 || (rankDiff === 0 && servedDiff < 0)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Work out the order queued jobs will start in
+ * @returns {Array} Queue entries in start order
+ */
+function getQueueOrder() {
+  const remaining = [...jobQueue];
+  const lastServed = new Map(tenantLastServed);
+  let seq = serveSeq;
+  const order = [];
+
+  while (remaining.length > 0) {
+    const [entry] = remaining.splice(pickNextIndex(remaining, lastServed), 1);
+    lastServed.set(entry.job.tenant, ++seq);
+    order.push(entry);
+  }
+  return order;
+}
+
+/**
+ * Check whether the running job should give way at the next recording
+ * Only after it has started a full slice, and only to a waiting job of higher
+ * priority, or of another tenant in the same lane.
+ * @param {Object} slice - Current slice { started, yielded }
+ * @returns {boolean} True once the job should stop starting recordings
+ */
+function shouldYieldSlice(slice) {
+  if (slice.yielded) return true;
+
+  const sliceSize = config.processing.queueSliceSize;
+  if (!sliceSize || slice.started < sliceSize || !currentJob) return false;
+
+  const rank = priorityRank(currentJob);
+  slice.yielded = jobQueue.some(({ job }) =>
+    priorityRank(job) < rank || (priorityRank(job) === rank && job.tenant !== currentJob.tenant)
+  );
+  if (slice.yielded) {
+    console.log(`[JobQueue] Job ${currentJob.id} giving way after ${slice.started} recordings`);
+  }
+  return slice.yielded;
+}
+
 /**
  * Send webhook notification when job completes
- * @param {Object} job - Completed job
+ * Runs in the background so retries never hold up the queue. Every attempt
+ * is journaled in job.webhookDeliveries; webhookSentAt is set once a
+ * delivery succeeds, after which only a manual redelivery sends it again.
+ * @param {Object} job - Finished job
+ * @param {string} trigger - Why it is being sent: 'job_finished', 'restart' or 'manual'
+ * @returns {Object|null} Delivery log entry, or null if nothing was sent
  */
-async function sendWebhookNotification(job) {
-  if (!job.webhookUrl) return;
+function sendWebhookNotification(job, trigger = 'job_finished') {
+  if (!job.webhookUrl || activeDeliveries.has(job.id)) return null;
+  if (job.webhookSentAt && trigger !== 'manual') return null;
 
   const payload = {
-    event: 'job_completed',
+    event: job.status === 'cancelled' ? 'job_cancelled' : 'job_completed',
     jobId: job.id,
     status: job.status,
     folder: job.folder,
@@ -163,22 +445,68 @@ async function sendWebhookNotification(job) {
     metadata: job.metadata,
   };
 
-  try {
-    console.log(`[JobQueue] Sending webhook to ${job.webhookUrl}`);
-    const response = await fetch(job.webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
+  const delivery = {
+    id: generateDeliveryId(),
+    trigger,
+    event: payload.event,
+    url: job.webhookUrl,
+    status: 'delivering',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    attempts: [],
+    lastError: null,
+  };
+  const saveLog = (updates = {}) => persistJobUpdate(job, { webhookDeliveries: job.webhookDeliveries, ...updates });
 
-    if (!response.ok) {
-      console.error(`[JobQueue] Webhook failed: ${response.status} ${response.statusText}`);
-    } else {
-      console.log(`[JobQueue] Webhook sent successfully`);
-    }
-  } catch (error) {
-    console.error(`[JobQueue] Webhook error: ${error.message}`);
+  job.webhookDeliveries = [...(job.webhookDeliveries || []), delivery].slice(-MAX_WEBHOOK_DELIVERIES);
+  saveLog();
+  activeDeliveries.add(job.id);
+
+  console.log(`[JobQueue] Sending webhook ${delivery.id} for job ${job.id} to ${job.webhookUrl}`);
+  deliverWebhook(job.webhookUrl, payload, {
+    deliveryId: delivery.id,
+    onAttempt: (attempt) => {
+      delivery.attempts.push(attempt);
+      delivery.lastError = attempt.error;
+      saveLog();
+    },
+  })
+    .then(({ delivered }) => {
+      delivery.status = delivered ? 'delivered' : 'failed';
+      delivery.finishedAt = new Date().toISOString();
+      saveLog(delivered ? { webhookSentAt: delivery.finishedAt } : {});
+    })
+    .catch((error) => {
+      delivery.status = 'failed';
+      delivery.lastError = error.message;
+      delivery.finishedAt = new Date().toISOString();
+      saveLog();
+    })
+    .finally(() => activeDeliveries.delete(job.id));
+
+  return delivery;
+}
+
+/**
+ * Send a finished job's webhook again
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} New delivery log entry, or null if the job doesn't exist
+ */
+export function redeliverWebhook(jobId) {
+  const job = allJobs.get(jobId);
+  if (!job) return null;
+
+  if (!job.webhookUrl) {
+    throw new Error(`Job ${jobId} has no webhookUrl`);
+  }
+  if (!isJobFinished(job)) {
+    throw new Error(`Job ${jobId} is ${job.status}; webhooks are sent once it finishes`);
   }
+  if (activeDeliveries.has(jobId)) {
+    throw new Error(`A webhook delivery for job ${jobId} is already in progress`);
+  }
+
+  return sendWebhookNotification(job, 'manual');
 }
 
 /**
@@ -190,34 +518,73 @@ async function processNextJob() {
   }
 
   isProcessing = true;
-  const { job, processFunction, resolve, reject } = jobQueue.shift();
+  const entry = jobQueue.splice(pickNextIndex(jobQueue, tenantLastServed), 1)[0];
+  const { job, processFunction, resolve, reject } = entry;
+  const controller = new AbortController();
+  const slice = { started: 0, yielded: false };
+  // Carrying on after giving way: recordings from earlier slices are done, failed or not
+  const continuation = !!job.yielded;
   currentJob = job;
+  currentController = controller;
+  currentSlice = slice;
+  tenantLastServed.set(job.tenant, ++serveSeq);
 
-  console.log(`[JobQueue] Starting job ${job.id} (${job.recordingsTotal} recordings)`);
+  console.log(`[JobQueue] Starting job ${job.id} (${job.priority}, tenant ${job.tenant}, ${job.recordingsTotal} recordings)`);
   console.log(`[JobQueue] Queue length: ${jobQueue.length} remaining`);
 
   try {
     // Update job status
-    job.status = 'processing';
-    job.startedAt = new Date().toISOString();
+    persistJobUpdate(job, {
+      status: 'processing',
+      startedAt: job.startedAt || new Date().toISOString(),
+      yielded: false,
+    });
+    emitJobEvent(job.id, 'job_started', { recordingsTotal: job.recordingsTotal });
 
     // Run the job's process function
-    const results = await processFunction(job);
+    const results = await processFunction(job, { signal: controller.signal, continuation });
+
+    if (controller.signal.aborted) {
+      resolve(await finishCancelledJob(job, results));
+      return;
+    }
+
+    if (slice.yielded) {
+      // Back in the queue (keeping the original caller's promise) until its next turn
+      persistJobUpdate(job, { status: 'queued', yielded: true, slices: (job.slices || 0) + 1 });
+      stats.slicesYielded++;
+      emitJobEvent(job.id, 'job_yielded', {
+        recordingsTotal: job.recordingsTotal,
+        recordingsCompleted: job.recordingsCompleted,
+        recordingsFailed: job.recordingsFailed,
+      });
+      jobQueue.push(entry);
+      console.log(`[JobQueue] Job ${job.id} re-queued after slice ${job.slices}`);
+      return;
+    }
 
     // Update job with results
-    job.status = 'completed';
-    job.completedAt = new Date().toISOString();
-    job.results = results;
-    job.recordingsCompleted = results.filter(r => r.success).length;
-    job.recordingsFailed = results.filter(r => !r.success).length;
+    persistJobUpdate(job, {
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      results,
+      recordingsCompleted: results.filter(r => r.success).length,
+      recordingsFailed: results.filter(r => !r.success).length,
+    });
 
     stats.jobsCompleted++;
     stats.recordingsProcessed += results.length;
 
     console.log(`[JobQueue] Job ${job.id} completed: ${job.recordingsCompleted}/${job.recordingsTotal} successful`);
+    emitJobEvent(job.id, 'job_completed', {
+      status: job.status,
+      recordingsTotal: job.recordingsTotal,
+      recordingsCompleted: job.recordingsCompleted,
+      recordingsFailed: job.recordingsFailed,
+    });
 
     // Send webhook notification
-    await sendWebhookNotification(job);
+    sendWebhookNotification(job);
 
     resolve({
       success: true,
@@ -229,19 +596,35 @@ async function processNextJob() {
       results,
     });
   } catch (error) {
-    job.status = 'failed';
-    job.completedAt = new Date().toISOString();
-    job.error = error.message;
+    if (controller.signal.aborted) {
+      resolve(await finishCancelledJob(job, job.results));
+      return;
+    }
+
+    persistJobUpdate(job, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: error.message,
+    });
     stats.jobsFailed++;
 
     console.error(`[JobQueue] Job ${job.id} failed: ${error.message}`);
+    emitJobEvent(job.id, 'job_completed', {
+      status: job.status,
+      error: job.error,
+      recordingsTotal: job.recordingsTotal,
+      recordingsCompleted: job.recordingsCompleted,
+      recordingsFailed: job.recordingsFailed,
+    });
 
     // Send webhook even on failure
-    await sendWebhookNotification(job);
+    sendWebhookNotification(job);
 
     reject(error);
   } finally {
     currentJob = null;
+    currentController = null;
+    currentSlice = null;
     isProcessing = false;
 
     // Clean up old jobs (keep last 50)
@@ -252,86 +635,460 @@ async function processNextJob() {
   }
 }
 
+/**
+ * Mark a job cancelled, keeping whatever results it produced
+ * @param {Object} job - Cancelled job
+ * @param {Array} results - Partial results
+ * @returns {Promise<Object>} Job result passed to the queueJob caller
+ */
+async function finishCancelledJob(job, results = []) {
+  persistJobUpdate(job, {
+    status: 'cancelled',
+    completedAt: new Date().toISOString(),
+    results,
+    recordingsCompleted: results.filter(r => r.success).length,
+    recordingsFailed: results.filter(r => !r.success && !r.cancelled).length,
+    recordingsCancelled: results.filter(r => r.cancelled).length,
+  });
+  stats.jobsCancelled++;
+
+  console.log(`[JobQueue] Job ${job.id} cancelled: ${job.recordingsCompleted}/${job.recordingsTotal} captured before cancellation`);
+  emitJobEvent(job.id, 'job_cancelled', {
+    status: job.status,
+    recordingsTotal: job.recordingsTotal,
+    recordingsCompleted: job.recordingsCompleted,
+    recordingsFailed: job.recordingsFailed,
+  });
+
+  sendWebhookNotification(job);
+
+  return {
+    success: false,
+    cancelled: true,
+    jobId: job.id,
+    folder: job.folder,
+    total: job.recordingsTotal,
+    completed: job.recordingsCompleted,
+    failed: job.recordingsFailed,
+    results,
+  };
+}
+
+/**
+ * Cancel a job
+ * Queued (or interrupted) jobs are removed right away. A running job is
+ * aborted: the signal passed to its process function fires, in-flight
+ * browser sessions are closed and the job ends as 'cancelled' with the
+ * results captured so far.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job (status 'cancelled' or 'cancelling'), or null if not found
+ */
+export function cancelJob(jobId) {
+  const job = allJobs.get(jobId);
+  if (!job) return null;
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new Error(`Job ${jobId} is already ${job.status}`);
+  }
+
+  if (currentJob && currentJob.id === jobId) {
+    if (job.status !== 'cancelling') {
+      console.log(`[JobQueue] Cancelling running job ${jobId}`);
+      persistJobUpdate(job, { status: 'cancelling' });
+      currentController.abort();
+    }
+    return job;
+  }
+
+  const index = jobQueue.findIndex(q => q.job.id === jobId);
+  const entry = index === -1 ? null : jobQueue.splice(index, 1)[0];
+
+  console.log(`[JobQueue] Cancelling ${job.status} job ${jobId}`);
+  finishCancelledJob(job, job.results).then((result) => entry?.resolve(result));
+
+  return job;
+}
+
 /**
  * Clean up old completed jobs
  */
 function cleanupOldJobs() {
   const completed = Array.from(allJobs.entries())
-    .filter(([, j]) => j.status === 'completed' || j.status === 'failed')
+    .filter(([, j]) => FINISHED_STATUSES.includes(j.status))
     .sort((a, b) => new Date(b[1].completedAt) - new Date(a[1].completedAt));
 
   if (completed.length > 50) {
-    completed.slice(50).forEach(([id]) => allJobs.delete(id));
+    completed.slice(50).forEach(([id]) => {
+      allJobs.delete(id);
+      jobParams.delete(id);
+      appendJobEvent('job_removed', { jobId: id });
+    });
   }
 }
 
 /**
- * Queue a job for processing
+ * Add a job to the queue and kick off processing
+ * @param {Object} job - Job object
+ * @param {Function} processFunction - Async function that processes the job
+ * @param {Function} resolve - Called with the job result
+ * @param {Function} reject - Called with the job error
+ */
+function enqueueJob(job, processFunction, resolve = () => {}, reject = () => {}) {
+  jobQueue.push({
+    job,
+    processFunction,
+    resolve,
+    reject,
+  });
+
+  console.log(`[JobQueue] Job ${job.id} queued. Position: ${jobQueue.length}`);
+
+  // Start processing if not already
+  processNextJob();
+}
+
+/**
+ * Submit a job without waiting for it to finish
  *
  * @param {Object} options - Job options
  * @param {Function} processFunction - Async function that processes the job
- *        Receives the job object, should return array of results
+ *        Receives the job object, should return array of results.
+ *        Optional when options.type has a registered handler (required to
+ *        re-queue the job after a restart).
+ * @returns {Object} { job, position, completion } - position is 0 if the job
+ *          started immediately; completion resolves when the job completes
+ */
+export function submitJob(options, processFunction = null) {
+  const job = createJob(options);
+  const run = processFunction || resolveJobHandler(job);
+
+  const completion = new Promise((resolve, reject) => {
+    enqueueJob(job, run, resolve, reject);
+  });
+
+  return {
+    job,
+    position: getJobPosition(job.id),
+    completion,
+  };
+}
+
+/**
+ * Queue a job for processing and wait for it
+ *
+ * @param {Object} options - Job options (see submitJob)
+ * @param {Function} processFunction - Async function that processes the job
  * @returns {Promise} Resolves when job completes
  */
-export function queueJob(options, processFunction) {
-  return new Promise((resolve, reject) => {
-    const job = createJob(options);
+export function queueJob(options, processFunction = null) {
+  return submitJob(options, processFunction).completion;
+}
 
-    jobQueue.push({
-      job,
-      processFunction,
-      resolve,
-      reject,
-    });
+/**
+ * Re-queue an interrupted job
+ * The handler receives the job with the results recorded before the
+ * interruption, so it can skip recordings that already succeeded.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Re-queued job, or null if not found
+ */
+export function resumeJob(jobId) {
+  const job = allJobs.get(jobId);
+  if (!job) return null;
 
-    console.log(`[JobQueue] Job ${job.id} queued. Position: ${jobQueue.length}`);
+  if (job.status !== 'interrupted') {
+    throw new Error(`Job ${jobId} is ${job.status}; only interrupted jobs can be resumed`);
+  }
+  if (!jobHandlers.has(job.type)) {
+    throw new Error(`Job ${jobId} cannot be resumed: no handler for job type "${job.type}"`);
+  }
 
-    // Start processing if not already
-    processNextJob();
-  });
+  persistJobUpdate(job, { status: 'queued', error: null });
+  console.log(`[JobQueue] Resuming job ${jobId}`);
+  enqueueJob(job, resolveJobHandler(job));
+
+  return job;
+}
+
+/**
+ * Restore jobs from the journal after a restart
+ * Call once at startup, after all job handlers are registered.
+ * - queued jobs are re-queued in their original order
+ * - processing jobs are marked 'interrupted' (auto-resumed if configured)
+ * - finished jobs whose webhook never went out (or was cut off mid-retry)
+ *   get it sent now; deliveries that already gave up need a manual redelivery
+ *
+ * @returns {Object} Counts of restored, re-queued and interrupted jobs
+ */
+export function restoreJobs() {
+  const stored = loadJobs();
+  const summary = { restored: stored.size, requeued: 0, interrupted: 0 };
+
+  if (stored.size === 0) {
+    return summary;
+  }
+
+  for (const { job, params } of stored.values()) {
+    allJobs.set(job.id, job);
+    if (params) jobParams.set(job.id, params);
+  }
+
+  // Collapse the journal before appending any new transitions
+  compactJournal(stored);
+
+  const jobs = Array.from(allJobs.values())
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  for (const job of jobs) {
+    if (job.status === 'queued') {
+      if (jobHandlers.has(job.type)) {
+        enqueueJob(job, resolveJobHandler(job));
+        summary.requeued++;
+      } else {
+        persistJobUpdate(job, {
+          status: 'failed',
+          completedAt: new Date().toISOString(),
+          error: 'Job could not be restored after restart (no handler for its job type)',
+        });
+        sendWebhookNotification(job);
+      }
+    } else if (job.status === 'cancelling') {
+      finishCancelledJob(job, job.results);
+    } else if (job.status === 'processing') {
+      persistJobUpdate(job, {
+        status: 'interrupted',
+        interruptedAt: new Date().toISOString(),
+      });
+      summary.interrupted++;
+
+      if (config.processing.autoResumeInterrupted && jobHandlers.has(job.type)) {
+        resumeJob(job.id);
+      }
+    } else if (FINISHED_STATUSES.includes(job.status)) {
+      const lastDelivery = job.webhookDeliveries?.at(-1);
+      if (lastDelivery?.status === 'delivering') {
+        lastDelivery.status = 'interrupted';
+        persistJobUpdate(job, { webhookDeliveries: job.webhookDeliveries });
+      }
+      if (!lastDelivery || lastDelivery.status === 'interrupted') {
+        sendWebhookNotification(job, 'restart');
+      }
+    }
+  }
+
+  console.log(
+    `[JobQueue] Restored ${summary.restored} jobs (${summary.requeued} re-queued, ${summary.interrupted} interrupted)`
+  );
+
+  return summary;
 }
 
 /**
  * Process recordings within a job (parallel within the job)
  *
- * @param {Array} recordings - Array of recording objects
+ * @param {Array|AsyncIterable} recordings - Recording objects, or an async iterable
+ *        (e.g. iterateSessionRecordings()) to start capturing while later pages are
+ *        still being fetched
  * @param {Function} processFunc - Function to process each recording
  * @param {Object} options - Options including maxConcurrent
- * @returns {Promise<Array>} Results
+ * @param {string} options.jobId - Job to record each result on as it finishes
+ * @param {AbortSignal} options.signal - Stops starting new recordings and is
+ *        passed to processFunc as { signal } so in-flight captures can abort
+ *
+ * When the job is the running one and has to give way to a waiting job (see
+ * shouldYieldSlice), recordings not yet started are returned as
+ * { deferred: true } without being recorded; the job runs them in a later slice.
+ *
+ * processFunc receives (recording, index, total, { signal, emit }); total is
+ * null while an async iterable is still producing recordings. emit publishes
+ * per-recording job events (e.g. emit('recording_captured', { bytes }));
+ * recording_started and recording_failed are emitted here.
+ * @returns {Promise<Array>} Results (recordings skipped or aborted by
+ *          cancellation are marked cancelled: true)
  */
 export async function processRecordingsInJob(recordings, processFunc, options = {}) {
+  const { signal, jobId } = options;
   const maxConcurrent = options.maxConcurrent || config.processing.maxConcurrent;
   const limit = pLimit(maxConcurrent);
+  const streaming = !Array.isArray(recordings);
+  let total = streaming ? null : recordings.length;
+  const slice = jobId && currentJob?.id === jobId ? currentSlice : null;
 
-  console.log(`[JobQueue] Processing ${recordings.length} recordings (max ${maxConcurrent} parallel)`);
-
-  const promises = recordings.map((recording, index) =>
-    limit(async () => {
-      console.log(`[JobQueue] Starting recording ${index + 1}/${recordings.length}: ${recording.sessionId}`);
-      try {
-        const result = await processFunc(recording, index, recordings.length);
-        console.log(`[JobQueue] Completed recording ${index + 1}/${recordings.length}: ${recording.sessionId}`);
-        return result;
-      } catch (error) {
-        console.log(`[JobQueue] Failed recording ${index + 1}/${recordings.length}: ${recording.sessionId} - ${error.message}`);
-        return {
-          success: false,
-          sessionId: recording.sessionId,
-          error: error.message,
-        };
-      }
-    })
+  console.log(
+    streaming
+      ? `[JobQueue] Processing recordings as they are fetched (max ${maxConcurrent} parallel)`
+      : `[JobQueue] Processing ${total} recordings (max ${maxConcurrent} parallel)`
   );
 
+  const processOne = async (recording, index) => {
+    const label = `${index + 1}/${total ?? '?'}`;
+
+    if (signal?.aborted) {
+      return {
+        success: false,
+        cancelled: true,
+        sessionId: recording.sessionId,
+        error: 'Job cancelled before this recording started',
+      };
+    }
+
+    if (slice) {
+      if (shouldYieldSlice(slice)) {
+        return { success: false, deferred: true, sessionId: recording.sessionId };
+      }
+      slice.started++;
+    }
+
+    console.log(`[JobQueue] Starting recording ${label}: ${recording.sessionId}`);
+
+    const emit = (type, data = {}) => {
+      if (jobId) emitJobEvent(jobId, type, { sessionId: recording.sessionId, ...data });
+    };
+    emit('recording_started', { index, total });
+
+    let result;
+    try {
+      result = await processFunc(recording, index, total, { signal, emit });
+      console.log(`[JobQueue] Completed recording ${label}: ${recording.sessionId}`);
+    } catch (error) {
+      console.log(`[JobQueue] Failed recording ${label}: ${recording.sessionId} - ${error.message}`);
+      result = {
+        success: false,
+        sessionId: recording.sessionId,
+        error: error.message,
+      };
+    }
+
+    if (signal?.aborted && !result.success) {
+      result.cancelled = true;
+    }
+
+    if (jobId) {
+      recordJobResult(jobId, result);
+    }
+    if (!result.success) {
+      emit('recording_failed', { error: result.error, cancelled: !!result.cancelled });
+    }
+    return result;
+  };
+
+  const promises = [];
+  try {
+    for await (const recording of recordings) {
+      // Nothing left to mark as skipped once a stream stops being read
+      if (streaming && (signal?.aborted || slice?.yielded)) break;
+      const index = promises.length;
+      promises.push(limit(() => processOne(recording, index)));
+    }
+  } catch (error) {
+    // Let captures that already started finish (and be recorded) before failing the job
+    console.error(`[JobQueue] Failed to fetch recordings: ${error.message}`);
+    await Promise.allSettled(promises);
+    throw new Error(`Failed to fetch recordings: ${error.message}`);
+  }
+
+  total = promises.length;
   return Promise.all(promises);
 }
 
+/**
+ * Build the release function for a granted browser slot
+ * Hands the slot straight to the longest waiter, if any.
+ * @returns {Function} Release function (calling it again does nothing)
+ */
+function createSlotRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    browserSlotsInUse--;
+
+    const next = browserSlotWaiters.shift();
+    if (next) next.grant();
+  };
+}
+
+/**
+ * Wait for a free browser slot
+ * Call before opening a browser session and release once it is closed.
+ * Waiters are served in arrival order.
+ *
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stop waiting (rejects with an AbortError)
+ * @param {string} options.label - What the slot is for (logs and getQueueStats)
+ * @returns {Promise<Function>} Resolves with the slot's release function
+ */
+export function acquireBrowserSlot({ signal = null, label = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error('Cancelled while waiting for a browser slot');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const waiter = { label, since: Date.now() };
+    const onAbort = () => {
+      const index = browserSlotWaiters.indexOf(waiter);
+      if (index !== -1) browserSlotWaiters.splice(index, 1);
+      reject(abortError());
+    };
+    waiter.grant = () => {
+      signal?.removeEventListener('abort', onAbort);
+      browserSlotsInUse++;
+      resolve(createSlotRelease());
+    };
+
+    if (browserSlotsInUse < config.processing.maxConcurrent && browserSlotWaiters.length === 0) {
+      waiter.grant();
+      return;
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    browserSlotWaiters.push(waiter);
+    console.log(`[JobQueue] Waiting for a browser slot${label ? ` (${label})` : ''}: ${browserSlotsInUse}/${config.processing.maxConcurrent} in use, ${browserSlotWaiters.length} waiting`);
+  });
+}
+
+/**
+ * Run a task while holding a browser slot
+ * The task must not acquire another slot itself (it would wait on its own).
+ *
+ * @param {Function} task - Async function opening (and closing) a browser session
+ * @param {Object} options - Options for acquireBrowserSlot (signal, label)
+ * @returns {Promise<*>} The task's result
+ */
+export async function queueBrowserTask(task, options = {}) {
+  const release = await acquireBrowserSlot(options);
+  try {
+    return await task();
+  } finally {
+    release();
+  }
+}
+
 export default {
   createJob,
   getJobStatus,
   updateJob,
+  getJobPosition,
   getQueueStats,
   getActiveJobs,
+  subscribeToJob,
+  isJobFinished,
+  registerJobHandler,
+  submitJob,
   queueJob,
+  cancelJob,
+  resumeJob,
+  redeliverWebhook,
+  restoreJobs,
   processRecordingsInJob,
+  acquireBrowserSlot,
+  queueBrowserTask,
 };
@@ -0,0 +1,219 @@
+/**
+ * Recording Filters
+ *
+ * Validated filters for selecting session recordings, shared by /recordings,
+ * /batch and the capture:batch CLI:
+ * - deviceType, browser, os, country: lists of accepted values
+ * - entryUrlContains, visitedUrlContains: case-insensitive URL substrings
+ * - minDurationSeconds, maxDurationSeconds: total session duration bounds
+ * - minClicks: minimum click count
+ * - hasRageClicks, hasDeadClicks: require (true) or exclude (false) sessions with them
+ * - sessionIds: only these sessions
+ *
+ * Device, browser, OS, country and rage/dead-click filters are sent to the
+ * Clarity API. Every filter is also checked locally against the recordings
+ * that come back, which covers the ones the API can't filter on.
+ */
+
+import { parseDuration } from './clarity-api.js';
+
+// Device types Clarity reports, in their canonical casing
+export const DEVICE_TYPES = ['PC', 'Mobile', 'Tablet', 'Other'];
+
+const LIST_FILTERS = ['deviceType', 'browser', 'os', 'country', 'sessionIds'];
+const TEXT_FILTERS = ['entryUrlContains', 'visitedUrlContains'];
+const NUMBER_FILTERS = ['minDurationSeconds', 'maxDurationSeconds', 'minClicks'];
+const BOOLEAN_FILTERS = ['hasRageClicks', 'hasDeadClicks'];
+
+export const FILTER_NAMES = [...LIST_FILTERS, ...TEXT_FILTERS, ...NUMBER_FILTERS, ...BOOLEAN_FILTERS];
+
+/**
+ * Turn a list filter value into a clean array
+ * @param {string} name - Filter name (for error messages)
+ * @param {string|Array} value - Array or comma-separated string
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function toList(name, value) {
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+    throw new Error(`filters.${name} must be a string or an array of strings`);
+  }
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalize recording filters
+ * Unknown filter names are rejected so typos don't silently match everything.
+ * @param {Object} input - Raw filters from a request body or CLI flags
+ * @returns {Object} Normalized filters (only the ones that were set)
+ */
+export function parseRecordingFilters(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('filters must be an object');
+  }
+
+  const unknown = Object.keys(input).filter((name) => !FILTER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter(s): ${unknown.join(', ')}. Supported: ${FILTER_NAMES.join(', ')}`);
+  }
+
+  const filters = {};
+
+  for (const name of LIST_FILTERS) {
+    if (input[name] === undefined || input[name] === null || input[name] === '') continue;
+    const values = toList(name, input[name]);
+    if (values.length > 0) filters[name] = values;
+  }
+
+  if (filters.deviceType) {
+    filters.deviceType = filters.deviceType.map((value) => {
+      const match = DEVICE_TYPES.find((type) => type.toLowerCase() === value.toLowerCase());
+      if (!match) {
+        throw new Error(`filters.deviceType must be one of ${DEVICE_TYPES.join(', ')} (got ${value})`);
+      }
+      return match;
+    });
+  }
+
+  for (const name of TEXT_FILTERS) {
+    if (input[name] === undefined || input[name] === null || input[name] === '') continue;
+    if (typeof input[name] !== 'string') {
+      throw new Error(`filters.${name} must be a string`);
+    }
+    filters[name] = input[name];
+  }
+
+  for (const name of NUMBER_FILTERS) {
+    if (input[name] === undefined || input[name] === null || input[name] === '') continue;
+    const value = Number(input[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`filters.${name} must be a non-negative number`);
+    }
+    filters[name] = value;
+  }
+
+  if (
+    filters.minDurationSeconds !== undefined &&
+    filters.maxDurationSeconds !== undefined &&
+    filters.minDurationSeconds > filters.maxDurationSeconds
+  ) {
+    throw new Error('filters.minDurationSeconds cannot be greater than filters.maxDurationSeconds');
+  }
+
+  for (const name of BOOLEAN_FILTERS) {
+    if (input[name] === undefined || input[name] === null) continue;
+    if (input[name] === true || input[name] === 'true') {
+      filters[name] = true;
+    } else if (input[name] === false || input[name] === 'false') {
+      filters[name] = false;
+    } else {
+      throw new Error(`filters.${name} must be true or false`);
+    }
+  }
+
+  return filters;
+}
+
+/**
+ * Map filters to the fields the Clarity recordings API understands
+ * @param {Object} filters - Normalized filters
+ * @returns {Object} Fields to merge into the API request body
+ */
+export function toApiFilters(filters = {}) {
+  const apiFilters = {};
+
+  if (filters.deviceType) apiFilters.deviceType = filters.deviceType;
+  if (filters.browser) apiFilters.browser = filters.browser;
+  if (filters.os) apiFilters.os = filters.os;
+  if (filters.country) apiFilters.country = filters.country;
+  if (filters.hasRageClicks !== undefined) apiFilters.rageClick = filters.hasRageClicks;
+  if (filters.hasDeadClicks !== undefined) apiFilters.deadClick = filters.hasDeadClicks;
+
+  return apiFilters;
+}
+
+/**
+ * Collect the page URLs a recording is known to have visited
+ * @param {Object} recording - Recording from fetchSessionRecordings
+ * @returns {Array<string>} URLs (entry URL first)
+ */
+function visitedUrls(recording) {
+  const urls = [recording.entryUrl, recording.exitUrl];
+
+  if (Array.isArray(recording.timeline)) {
+    for (const entry of recording.timeline) {
+      urls.push(typeof entry === 'string' ? entry : entry?.url || entry?.pageUrl);
+    }
+  }
+
+  return urls.filter((url) => typeof url === 'string' && url.length > 0);
+}
+
+/**
+ * Check a list filter, passing recordings that don't report the field
+ * (those were already filtered by the API)
+ * @param {Array<string>} accepted - Accepted values
+ * @param {string} value - Recording's value
+ * @returns {boolean} True if the recording passes
+ */
+function matchesList(accepted, value) {
+  if (!accepted || value === undefined || value === null) return true;
+  return accepted.some((item) => item.toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Check whether a recording passes the filters
+ * @param {Object} recording - Recording from fetchSessionRecordings
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} True if the recording should be kept
+ */
+export function matchesRecordingFilters(recording, filters = {}) {
+  if (filters.sessionIds) {
+    const sessionId = String(recording.sessionId || '').toLowerCase();
+    if (!filters.sessionIds.some((id) => id.toLowerCase() === sessionId)) return false;
+  }
+
+  if (!matchesList(filters.deviceType, recording.deviceType)) return false;
+  if (!matchesList(filters.browser, recording.browser)) return false;
+  if (!matchesList(filters.os, recording.os)) return false;
+  if (!matchesList(filters.country, recording.country)) return false;
+
+  if (filters.entryUrlContains) {
+    const needle = filters.entryUrlContains.toLowerCase();
+    const entryUrl = recording.entryUrl || visitedUrls(recording)[0] || '';
+    if (!entryUrl.toLowerCase().includes(needle)) return false;
+  }
+
+  if (filters.visitedUrlContains) {
+    const needle = filters.visitedUrlContains.toLowerCase();
+    if (!visitedUrls(recording).some((url) => url.toLowerCase().includes(needle))) return false;
+  }
+
+  if (filters.minDurationSeconds !== undefined || filters.maxDurationSeconds !== undefined) {
+    const durationSeconds = parseDuration(recording.totalDuration) / 1000;
+    if (filters.minDurationSeconds !== undefined && durationSeconds < filters.minDurationSeconds) return false;
+    if (filters.maxDurationSeconds !== undefined && durationSeconds > filters.maxDurationSeconds) return false;
+  }
+
+  if (filters.minClicks !== undefined && (recording.clickCount || 0) < filters.minClicks) {
+    return false;
+  }
+
+  if (filters.hasRageClicks !== undefined && typeof recording.rageClickCount === 'number') {
+    if (filters.hasRageClicks !== recording.rageClickCount > 0) return false;
+  }
+
+  if (filters.hasDeadClicks !== undefined && typeof recording.deadClickCount === 'number') {
+    if (filters.hasDeadClicks !== recording.deadClickCount > 0) return false;
+  }
+
+  return true;
+}
+
+export default {
+  DEVICE_TYPES,
+  FILTER_NAMES,
+  parseRecordingFilters,
+  toApiFilters,
+  matchesRecordingFilters,
+};
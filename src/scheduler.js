@@ -0,0 +1,502 @@
+/**
+ * Scheduled Capture Jobs
+ *
+ * Named schedules (e.g. "acme-daily") that queue a /batch job on a cron
+ * expression, each run covering a rolling window of whole days in the
+ * schedule's timezone - with windowDays: 1, a run at 06:00 Europe/London
+ * captures yesterday 00:00-24:00 London time.
+ *
+ * - Schedules live in DATA_DIR/schedules.json, written atomically
+ * - Every run (job queued, or the error that stopped it) is kept in schedule.runs
+ * - A run missed while the server was down is made up once at startup;
+ *   older missed runs are skipped
+ * - Paused schedules don't run, and don't make up runs missed while paused
+ *
+ * The scheduler doesn't know how to queue a job itself: server.js passes a
+ * runner to startScheduler() that goes through the same checks as POST /batch.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { CronExpressionParser } from 'cron-parser';
+import { config } from './config.js';
+import { JOB_PRIORITIES } from './queue-manager.js';
+
+const SCHEDULES_PATH = path.join(config.storage.dataDir, 'schedules.json');
+
+// Schedule names are used in URLs, logs and job metadata
+const SCHEDULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// How often due schedules are checked
+const TICK_INTERVAL_MS = 30 * 1000;
+
+// Runs kept in each schedule's history
+const MAX_SCHEDULE_RUNS = 50;
+
+// Longest window a run can cover
+const MAX_WINDOW_DAYS = 31;
+
+// Set by the run itself, or never stored (credentials come from a profile or the cookie vault)
+const DISALLOWED_BATCH_FIELDS = ['startDate', 'endDate', 'wait', 'clarityCookies', 'clarityToken', 'slackWebhookUrl'];
+
+let schedules = null; // name -> schedule, loaded on first use
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Load schedules from disk (once)
+ * @returns {Map<string, Object>} name -> schedule
+ */
+function loadSchedules() {
+  if (schedules) return schedules;
+
+  schedules = new Map();
+  if (fs.existsSync(SCHEDULES_PATH)) {
+    const stored = JSON.parse(fs.readFileSync(SCHEDULES_PATH, 'utf-8'));
+    for (const schedule of stored) {
+      schedules.set(schedule.name, schedule);
+    }
+    console.log(`[Scheduler] Loaded ${schedules.size} schedules`);
+  }
+  return schedules;
+}
+
+/**
+ * Write all schedules to disk
+ */
+function saveSchedules() {
+  const dir = path.dirname(SCHEDULES_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = `${SCHEDULES_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(Array.from(schedules.values()), null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, SCHEDULES_PATH);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+function timezoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Midnight at the start of a day in a timezone
+ * @param {Date} date - Instant whose local day to start from
+ * @param {string} timeZone - IANA timezone
+ * @param {number} dayOffset - Days to move from that day (-1 = the day before)
+ * @returns {Date} Instant of local midnight
+ */
+function startOfDayInZone(date, timeZone, dayOffset = 0) {
+  const local = new Date(date.getTime() + timezoneOffsetMs(date, timeZone));
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset);
+
+  // Correct twice: the offset at midnight can differ from the offset now (DST)
+  let instant = midnight - timezoneOffsetMs(new Date(midnight), timeZone);
+  instant = midnight - timezoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Date window a run covers: the windowDays whole days before the run's day
+ * @param {Object} schedule - Schedule
+ * @param {Date} runAt - When the run is (or was) due
+ * @returns {Object} { startDate, endDate } ISO strings
+ */
+export function getRunWindow(schedule, runAt) {
+  return {
+    startDate: startOfDayInZone(runAt, schedule.timezone, -schedule.windowDays).toISOString(),
+    endDate: startOfDayInZone(runAt, schedule.timezone, 0).toISOString(),
+  };
+}
+
+/**
+ * Parse a schedule's cron expression
+ * @param {Object} schedule - Schedule (cron, timezone)
+ * @param {Date} currentDate - Point to iterate from
+ * @returns {Object} cron-parser iterator
+ */
+function parseCron(schedule, currentDate) {
+  return CronExpressionParser.parse(schedule.cron, { currentDate, tz: schedule.timezone });
+}
+
+/**
+ * Upcoming runs of a schedule with the window each one would cover
+ * @param {Object} schedule - Schedule
+ * @param {number} count - Runs to list
+ * @returns {Array<Object>} [{ at, startDate, endDate }]
+ */
+export function previewRuns(schedule, count = 5) {
+  const cron = parseCron(schedule, new Date());
+  return Array.from({ length: count }, () => {
+    const at = cron.next().toDate();
+    return { at: at.toISOString(), ...getRunWindow(schedule, at) };
+  });
+}
+
+/**
+ * Check a schedule name
+ * @param {string} name - Schedule name
+ */
+function validateScheduleName(name) {
+  if (typeof name !== 'string' || !SCHEDULE_NAME_PATTERN.test(name)) {
+    throw new Error('Schedule name must be 1-64 lowercase letters, digits, "-" or "_"');
+  }
+}
+
+/**
+ * Validate schedule fields
+ * @param {Object} input - Raw fields from a request body
+ * @returns {Object} Validated fields (only fields that were set)
+ */
+function validateScheduleFields(input) {
+  const allowed = ['description', 'cron', 'timezone', 'windowDays', 'batch'];
+  const unknown = Object.keys(input).filter((key) => !allowed.includes(key) && key !== 'name');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown schedule field(s): ${unknown.join(', ')}`);
+  }
+
+  const fields = {};
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw new Error('description must be a string');
+    }
+    fields.description = input.description;
+  }
+
+  if (input.timezone !== undefined) {
+    try {
+      if (typeof input.timezone !== 'string') throw new Error();
+      new Intl.DateTimeFormat('en-US', { timeZone: input.timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${input.timezone}`);
+    }
+    fields.timezone = input.timezone;
+  }
+
+  if (input.cron !== undefined) {
+    if (typeof input.cron !== 'string') {
+      throw new Error('cron must be a string');
+    }
+    try {
+      CronExpressionParser.parse(input.cron);
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${input.cron}": ${error.message}`);
+    }
+    fields.cron = input.cron;
+  }
+
+  if (input.windowDays !== undefined) {
+    if (!(Number.isInteger(input.windowDays) && input.windowDays >= 1 && input.windowDays <= MAX_WINDOW_DAYS)) {
+      throw new Error(`windowDays must be an integer from 1 to ${MAX_WINDOW_DAYS}`);
+    }
+    fields.windowDays = input.windowDays;
+  }
+
+  if (input.batch !== undefined) {
+    const batch = input.batch;
+    if (!batch || typeof batch !== 'object' || Array.isArray(batch)) {
+      throw new Error('batch must be an object (a /batch request body)');
+    }
+
+    const disallowed = Object.keys(batch).filter((key) => DISALLOWED_BATCH_FIELDS.includes(key));
+    if (disallowed.length > 0) {
+      throw new Error(`batch cannot set ${disallowed.join(', ')}: dates come from the schedule window, credentials from a profile or cookieSet`);
+    }
+    if (!batch.profile && !batch.cookieSet) {
+      throw new Error('batch needs a profile or cookieSet to capture with');
+    }
+    if (batch.priority !== undefined && !JOB_PRIORITIES.includes(batch.priority)) {
+      throw new Error(`batch.priority must be one of ${JOB_PRIORITIES.join(', ')}`);
+    }
+    fields.batch = batch;
+  }
+
+  return fields;
+}
+
+/**
+ * Get a schedule
+ * @param {string} name - Schedule name
+ * @returns {Object|null} Schedule or null
+ */
+export function getSchedule(name) {
+  return loadSchedules().get(name) || null;
+}
+
+/**
+ * List all schedules
+ * @returns {Array<Object>} Schedules
+ */
+export function listSchedules() {
+  return Array.from(loadSchedules().values());
+}
+
+/**
+ * Create a schedule
+ * @param {Object} input - { name, cron, timezone?, windowDays?, batch, description? }
+ * @returns {Object} Created schedule
+ */
+export function createSchedule(input = {}) {
+  validateScheduleName(input.name);
+  const store = loadSchedules();
+  if (store.has(input.name)) {
+    throw new Error(`Schedule "${input.name}" already exists`);
+  }
+  if (input.cron === undefined || input.batch === undefined) {
+    throw new Error('cron and batch are required');
+  }
+
+  const now = new Date().toISOString();
+  const schedule = {
+    name: input.name,
+    timezone: 'UTC',
+    windowDays: 1,
+    ...validateScheduleFields(input),
+    paused: false,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+    runs: [],
+  };
+
+  store.set(schedule.name, schedule);
+  saveSchedules();
+  console.log(`[Scheduler] Created schedule ${schedule.name} (${schedule.cron} ${schedule.timezone})`);
+  return schedule;
+}
+
+/**
+ * Update a schedule
+ * Only the given fields change; batch is replaced as a whole.
+ * @param {string} name - Schedule name
+ * @param {Object} input - Fields to change
+ * @returns {Object|null} Updated schedule, or null if it doesn't exist
+ */
+export function updateSchedule(name, input = {}) {
+  const store = loadSchedules();
+  const schedule = store.get(name);
+  if (!schedule) return null;
+
+  if (input.name !== undefined && input.name !== name) {
+    throw new Error('Schedules cannot be renamed');
+  }
+
+  const fields = validateScheduleFields(input);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null) {
+      delete schedule[key];
+    } else {
+      schedule[key] = value;
+    }
+  }
+  schedule.updatedAt = new Date().toISOString();
+
+  saveSchedules();
+  console.log(`[Scheduler] Updated schedule ${name}`);
+  return schedule;
+}
+
+/**
+ * Delete a schedule
+ * @param {string} name - Schedule name
+ * @returns {boolean} True if it existed
+ */
+export function deleteSchedule(name) {
+  const store = loadSchedules();
+  if (!store.delete(name)) return false;
+
+  saveSchedules();
+  console.log(`[Scheduler] Deleted schedule ${name}`);
+  return true;
+}
+
+/**
+ * Pause or resume a schedule
+ * Resuming doesn't make up runs that were due while paused.
+ * @param {string} name - Schedule name
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Object|null} Schedule, or null if it doesn't exist
+ */
+export function setSchedulePaused(name, paused) {
+  const schedule = loadSchedules().get(name);
+  if (!schedule) return null;
+
+  if (schedule.paused !== paused) {
+    const now = new Date().toISOString();
+    schedule.paused = paused;
+    schedule.updatedAt = now;
+    if (!paused) schedule.resumedAt = now;
+
+    saveSchedules();
+    console.log(`[Scheduler] ${paused ? 'Paused' : 'Resumed'} schedule ${name}`);
+  }
+  return schedule;
+}
+
+/**
+ * When a schedule runs next
+ * @param {Object} schedule - Schedule
+ * @returns {string|null} ISO time, or null while paused
+ */
+export function getNextRunAt(schedule) {
+  if (schedule.paused) return null;
+  return parseCron(schedule, new Date()).next().toDate().toISOString();
+}
+
+/**
+ * Latest run of a schedule that is due and hasn't happened yet
+ * @param {Object} schedule - Schedule
+ * @param {Date} now - Current time
+ * @returns {Date|null} When the run was due, or null if none is
+ */
+function findDueRun(schedule, now) {
+  const dueAt = parseCron(schedule, now).prev().toDate();
+  const since = Math.max(
+    ...[schedule.lastRunAt, schedule.resumedAt, schedule.createdAt]
+      .filter(Boolean)
+      .map((time) => new Date(time).getTime())
+  );
+  return dueAt.getTime() > since ? dueAt : null;
+}
+
+/**
+ * Queue one run of a schedule and record it
+ * @param {Object} schedule - Schedule
+ * @param {Date} dueAt - When the run was due
+ * @param {Function} runSchedule - Runner passed to startScheduler()
+ */
+async function runScheduleOnce(schedule, dueAt, runSchedule) {
+  const window = getRunWindow(schedule, dueAt);
+  const run = {
+    dueAt: dueAt.toISOString(),
+    ranAt: new Date().toISOString(),
+    ...window,
+    jobId: null,
+    error: null,
+  };
+
+  try {
+    const job = await runSchedule(schedule, window);
+    run.jobId = job.id;
+    console.log(`[Scheduler] ${schedule.name}: queued job ${job.id} for ${window.startDate} - ${window.endDate}`);
+  } catch (error) {
+    run.error = error.message;
+    console.error(`[Scheduler] ${schedule.name}: run due ${run.dueAt} failed: ${error.message}`);
+  }
+
+  // Recorded either way, so a failing run isn't retried every tick
+  schedule.lastRunAt = run.dueAt;
+  schedule.runs = [...(schedule.runs || []), run].slice(-MAX_SCHEDULE_RUNS);
+  saveSchedules();
+}
+
+/**
+ * Run every schedule that is due
+ * @param {Function} runSchedule - Runner passed to startScheduler()
+ */
+async function tick(runSchedule) {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    for (const schedule of loadSchedules().values()) {
+      if (schedule.paused) continue;
+
+      let dueAt;
+      try {
+        dueAt = findDueRun(schedule, now);
+      } catch (error) {
+        console.error(`[Scheduler] ${schedule.name}: ${error.message}`);
+        continue;
+      }
+
+      if (dueAt) {
+        await runScheduleOnce(schedule, dueAt, runSchedule);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking schedules
+ * @param {Function} runSchedule - Async (schedule, { startDate, endDate }) => job; throws if the job can't be queued
+ */
+export function startScheduler(runSchedule) {
+  if (tickTimer) return;
+
+  const count = loadSchedules().size;
+  console.log(`[Scheduler] Started (${count} schedules, checking every ${TICK_INTERVAL_MS / 1000}s)`);
+
+  const check = () => {
+    tick(runSchedule).catch((error) => console.error(`[Scheduler] Tick failed: ${error.message}`));
+  };
+  tickTimer = setInterval(check, TICK_INTERVAL_MS);
+  tickTimer.unref();
+
+  // Make up a run missed while the server was down straight away
+  check();
+}
+
+/**
+ * Stop checking schedules
+ */
+export function stopScheduler() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+/**
+ * Shape a schedule for API responses
+ * @param {Object} schedule - Schedule
+ * @param {Object} options - Options
+ * @param {boolean} options.details - Include upcoming runs and the full run history
+ * @returns {Object} Schedule with nextRunAt (and nextRuns when detailed)
+ */
+export function toPublicSchedule(schedule, { details = false } = {}) {
+  const { runs = [], ...rest } = schedule;
+  return {
+    ...rest,
+    nextRunAt: getNextRunAt(schedule),
+    lastRun: runs[runs.length - 1] || null,
+    ...(details ? { nextRuns: schedule.paused ? [] : previewRuns(schedule), runs } : {}),
+  };
+}
+
+export default {
+  getSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  setSchedulePaused,
+  getNextRunAt,
+  getRunWindow,
+  previewRuns,
+  startScheduler,
+  stopScheduler,
+  toPublicSchedule,
+};
@@ -5,7 +5,8 @@
  * Provides HTTP endpoints for capturing Clarity recordings
  *
  * IMPORTANT: All capture endpoints require clarityCookies for authentication.
- * Export cookies from your browser while logged into Clarity.
+ * Export cookies from your browser while logged into Clarity, then pass them
+ * inline or import them into the encrypted vault and pass cookieSet.
  */
 
 import express from 'express';
@@ -14,13 +15,75 @@ import * as path from 'path';
 import { captureSingleRecording } from './capture-single.js';
 import { config } from './config.js';
 import { checkCookieExpiry, sendSlackExpiryNotification } from './cookie-utils.js';
-import { getQueueStats, getJobStatus, getActiveJobs, queueJob, processRecordingsInJob } from './queue-manager.js';
-import { fetchSessionRecordings, parseDuration } from './clarity-api.js';
-import { recordClaritySession } from './browserless.js';
+import {
+  getQueueStats,
+  getJobStatus,
+  getActiveJobs,
+  getJobPosition,
+  updateJob,
+  subscribeToJob,
+  isJobFinished,
+  JOB_PRIORITIES,
+  registerJobHandler,
+  submitJob,
+  cancelJob,
+  resumeJob,
+  redeliverWebhook,
+  restoreJobs,
+  processRecordingsInJob,
+} from './queue-manager.js';
+import {
+  createClarityClient,
+  fetchDashboardInsights,
+  fetchSessionRecordings,
+  iterateSessionRecordings,
+  resolveDateRange,
+  parseDuration,
+} from './clarity-api.js';
+import { parseRecordingFilters } from './recording-filters.js';
+import {
+  getProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  toPublicProfile,
+  applyProfile,
+} from './profile-store.js';
+import {
+  getCookieSet,
+  isVaultConfigured,
+  sealCookies,
+  isSealedWithCurrentKey,
+  openSealedCookies,
+} from './cookie-vault.js';
+import { findCapture, recordCapture, getSessionCaptures, toSkippedResult } from './capture-ledger.js';
+import {
+  getSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  setSchedulePaused,
+  startScheduler,
+  toPublicSchedule,
+} from './scheduler.js';
+import { requireScope, isAuthEnabled, verifyWebhookSignature } from './auth.js';
+import { recordClaritySession, normalizePlaybackOptions, getBrowserlessEndpointHealth } from './browserless.js';
 import { uploadRecording } from './google-drive.js';
+import { postProcessRecording, normalizeOutputFormat, saveRecording } from './post-process.js';
 
 const app = express();
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body of /webhook calls for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook')) req.rawBody = buf;
+  },
+}));
+
+// Railway terminates TLS at its proxy; trust it so req.protocol reflects https
+app.set('trust proxy', true);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -29,7 +92,9 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     config: {
+      browserBackend: config.browser.backend,
       browserlessConfigured: !!config.browserless.apiKey,
+      browserlessEndpoints: getBrowserlessEndpointHealth(),
       clarityConfigured: !!config.clarity.apiToken,
       googleDriveConfigured: !!config.googleDrive.clientId,
       slackConfigured: !!process.env.SLACK_WEBHOOK_URL,
@@ -49,7 +114,7 @@ app.get('/health', (req, res) => {
  *
  * Returns current queue statistics and active jobs
  */
-app.get('/queue', (req, res) => {
+app.get('/queue', requireScope('read-queue'), (req, res) => {
   const stats = getQueueStats();
   const activeJobs = getActiveJobs();
 
@@ -60,6 +125,9 @@ app.get('/queue', (req, res) => {
     activeJobs: activeJobs.map((job) => ({
       id: job.id,
       status: job.status,
+      priority: job.priority,
+      tenant: job.tenant,
+      queuePosition: getJobPosition(job.id),
       createdAt: job.createdAt,
       recordingsTotal: job.recordingsTotal,
       recordingsCompleted: job.recordingsCompleted,
@@ -72,7 +140,38 @@ app.get('/queue', (req, res) => {
  * Get specific job status
  * GET /queue/job/:jobId
  */
-app.get('/queue/job/:jobId', (req, res) => {
+function handleJobStatus(req, res) {
+  const job = getJobStatus(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    job: {
+      ...job,
+      queuePosition: getJobPosition(job.id),
+    },
+  });
+}
+
+app.get('/queue/job/:jobId', requireScope('read-queue'), handleJobStatus);
+
+/**
+ * Stream live job progress as Server-Sent Events
+ * GET /queue/job/:jobId/events
+ *
+ * Sends a job_status snapshot on connect, then job_started,
+ * recording_started, recording_captured, recording_uploaded,
+ * recording_failed, job_yielded (re-queued to let another job run; a new
+ * job_started follows) and finally job_completed / job_cancelled, after
+ * which the stream closes.
+ */
+app.get('/queue/job/:jobId/events', requireScope('read-queue'), (req, res) => {
   const job = getJobStatus(req.params.jobId);
 
   if (!job) {
@@ -82,33 +181,561 @@ app.get('/queue/job/:jobId', (req, res) => {
     });
   }
 
-  res.json({
-    success: true,
-    job,
-  });
-});
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({
+    type: 'job_status',
+    jobId: job.id,
+    at: new Date().toISOString(),
+    status: job.status,
+    queuePosition: getJobPosition(job.id),
+    recordingsTotal: job.recordingsTotal,
+    recordingsCompleted: job.recordingsCompleted,
+    recordingsFailed: job.recordingsFailed,
+  });
+
+  if (isJobFinished(job)) {
+    return res.end();
+  }
+
+  // Comment lines keep idle proxies from dropping the connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    send(event);
+    if (event.type === 'job_completed' || event.type === 'job_cancelled') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+/**
+ * Cancel a job
+ * DELETE /queue/job/:jobId
+ *
+ * Queued jobs are removed from the queue. A running job is aborted: in-flight
+ * browser sessions are closed and the job ends as 'cancelled' with the
+ * results captured so far (a job_cancelled webhook is sent).
+ */
+function handleCancelJob(req, res) {
+  try {
+    const job = cancelJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+app.delete('/queue/job/:jobId', requireScope('capture'), handleCancelJob);
+
+/**
+ * Resume a job interrupted by a restart
+ * POST /queue/job/:jobId/resume
+ *
+ * Recordings captured before the interruption are kept; only the rest are processed.
+ */
+app.post('/queue/job/:jobId/resume', requireScope('capture'), (req, res) => {
+  try {
+    const job = resumeJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Send a finished job's completion webhook again
+ * POST /queue/job/:jobId/webhook/redeliver
+ *
+ * Responds 202 straight away; the delivery (with retries) shows up in the
+ * job's webhookDeliveries log.
+ */
+app.post('/queue/job/:jobId/webhook/redeliver', requireScope('capture'), (req, res) => {
+  try {
+    const delivery = redeliverWebhook(req.params.jobId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: req.params.jobId,
+      delivery,
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List customer profiles (credentials redacted)
+ * GET /profiles
+ */
+app.get('/profiles', requireScope('admin'), (req, res) => {
+  const profiles = listProfiles().map(toPublicProfile);
+  res.json({
+    success: true,
+    count: profiles.length,
+    profiles,
+  });
+});
+
+/**
+ * Get a customer profile (credentials redacted)
+ * GET /profiles/:name
+ */
+app.get('/profiles/:name', requireScope('admin'), (req, res) => {
+  const profile = getProfile(req.params.name);
+
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    profile: toPublicProfile(profile),
+  });
+});
+
+/**
+ * Create a customer profile
+ * POST /profiles
+ * Body: { name, displayName?, clarityToken?, projectId?, clarityCookies?, cookieSet?, driveFolderId?,
+ *         slackWebhookUrl?, defaults?: { count, maxConcurrent, uploadToGdrive, webhookUrl,
+ *         playbackSpeed, skipInactivity, filters } }
+ */
+app.post('/profiles', requireScope('admin'), (req, res) => {
+  if (req.body.name && getProfile(req.body.name)) {
+    return res.status(409).json({
+      success: false,
+      error: `Profile "${req.body.name}" already exists`,
+    });
+  }
+
+  try {
+    const profile = createProfile(req.body);
+    res.status(201).json({
+      success: true,
+      profile: toPublicProfile(profile),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Update a customer profile
+ * PATCH /profiles/:name
+ * Body: any profile fields; null clears a field, defaults are replaced as a whole
+ */
+app.patch('/profiles/:name', requireScope('admin'), (req, res) => {
+  try {
+    const profile = updateProfile(req.params.name, req.body);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Profile not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      profile: toPublicProfile(profile),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a customer profile
+ * DELETE /profiles/:name
+ */
+app.delete('/profiles/:name', requireScope('admin'), (req, res) => {
+  if (!deleteProfile(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    name: req.params.name,
+  });
+});
+
+/**
+ * List capture schedules
+ * GET /schedules
+ */
+app.get('/schedules', requireScope('admin'), (req, res) => {
+  const schedules = listSchedules().map((schedule) => toPublicSchedule(schedule));
+  res.json({
+    success: true,
+    count: schedules.length,
+    schedules,
+  });
+});
+
+/**
+ * Get a capture schedule with its next runs and the jobs it has queued
+ * GET /schedules/:name
+ */
+app.get('/schedules/:name', requireScope('admin'), (req, res) => {
+  const schedule = getSchedule(req.params.name);
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    schedule: toPublicSchedule(schedule, { details: true }),
+  });
+});
+
+/**
+ * Create a capture schedule
+ * POST /schedules
+ * Body: { name, cron, timezone?, windowDays?, description?, batch: { profile or cookieSet, ...other /batch fields } }
+ */
+app.post('/schedules', requireScope('admin'), (req, res) => {
+  if (req.body.name && getSchedule(req.body.name)) {
+    return res.status(409).json({
+      success: false,
+      error: `Schedule "${req.body.name}" already exists`,
+    });
+  }
+
+  try {
+    const schedule = createSchedule(req.body);
+    res.status(201).json({
+      success: true,
+      schedule: toPublicSchedule(schedule, { details: true }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Update a capture schedule
+ * PATCH /schedules/:name
+ * Body: any schedule fields; batch is replaced as a whole
+ */
+app.patch('/schedules/:name', requireScope('admin'), (req, res) => {
+  try {
+    const schedule = updateSchedule(req.params.name, req.body);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: toPublicSchedule(schedule, { details: true }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a capture schedule (jobs it already queued are left alone)
+ * DELETE /schedules/:name
+ */
+app.delete('/schedules/:name', requireScope('admin'), (req, res) => {
+  if (!deleteSchedule(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    name: req.params.name,
+  });
+});
+
+/**
+ * Build the handler pausing or resuming a capture schedule
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Function} Express handler
+ */
+function handleSchedulePaused(paused) {
+  return (req, res) => {
+    const schedule = setSchedulePaused(req.params.name, paused);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: toPublicSchedule(schedule),
+    });
+  };
+}
+
+/**
+ * Pause a capture schedule
+ * POST /schedules/:name/pause
+ */
+app.post('/schedules/:name/pause', requireScope('admin'), handleSchedulePaused(true));
+
+/**
+ * Resume a paused capture schedule (runs missed while paused are skipped)
+ * POST /schedules/:name/resume
+ */
+app.post('/schedules/:name/resume', requireScope('admin'), handleSchedulePaused(false));
+
+/**
+ * Resolve the profile a capture request references
+ * @param {Object} body - Request body
+ * @returns {Object|null} Body with the profile applied, or null if the profile doesn't exist
+ */
+function resolveRequestProfile(body) {
+  if (!body.profile) return body;
+
+  const profile = getProfile(body.profile);
+  return profile ? applyProfile(profile, body) : null;
+}
+
+// The server only posts to Slack webhooks it was configured with, never to one a caller sends
+const SLACK_WEBHOOK_FIELD_ERROR =
+  'slackWebhookUrl is not accepted in requests - set SLACK_WEBHOOK_URL or store it on a profile';
+
+/**
+ * Resolve the cookies a request authenticates with
+ * clarityCookies wins; otherwise cookieSet names a set in the encrypted vault.
+ * @param {Object} body - Request body (after resolveRequestProfile)
+ * @returns {Object} { cookies } or { status, error } if the cookie set can't be loaded
+ */
+function resolveRequestCookies({ clarityCookies, cookieSet }) {
+  if (clarityCookies || !cookieSet) {
+    return { cookies: clarityCookies };
+  }
+
+  try {
+    const cookies = getCookieSet(cookieSet);
+    return cookies ? { cookies } : { status: 404, error: `Cookie set "${cookieSet}" not found` };
+  } catch (error) {
+    return { status: 500, error: error.message };
+  }
+}
+
+// Label inline job cookies are sealed with (see toJobCredentialParams)
+const JOB_COOKIES_LABEL = 'job cookies';
+
+/**
+ * Split a batch request's credentials into what the job journal may hold and what stays in memory
+ * The journal only references credentials: the vault set, or the profile whose stored
+ * cookies and token are read again when the job runs. Cookies sent inline are sealed
+ * with COOKIE_VAULT_KEY, or kept in memory only when there is no key. A clarityToken
+ * sent with the request is always kept in memory only.
+ * @param {Object} requestBody - Body as sent (before the profile is applied)
+ * @param {Object} body - Body with the profile applied
+ * @param {string|Array} cookies - Resolved cookies
+ * @returns {Object} { params, secrets } for submitJob
+ */
+function toJobCredentialParams(requestBody, body, cookies) {
+  const params = {};
+  const secrets = {};
+
+  if (!body.clarityCookies) {
+    params.cookieSet = body.cookieSet;
+  } else if (!requestBody.clarityCookies) {
+    params.cookieProfile = requestBody.profile;
+  } else if (isVaultConfigured()) {
+    params.sealedCookies = sealCookies(cookies, JOB_COOKIES_LABEL);
+  } else {
+    params.inlineCookies = true;
+    secrets.clarityCookies = cookies;
+  }
+
+  if (requestBody.clarityToken) {
+    params.clarityTokenOverride = true;
+    secrets.clarityToken = requestBody.clarityToken;
+  } else if (body.clarityToken) {
+    params.tokenProfile = requestBody.profile;
+  }
+
+  return { params, secrets };
+}
+
+/**
+ * Load the Clarity API token a batch job runs with (see toJobCredentialParams)
+ * @param {Object} params - Job params
+ * @returns {string|undefined} Token, or undefined for the server's CLARITY_API_TOKEN
+ */
+function resolveJobToken({ clarityToken, clarityTokenOverride, tokenProfile }) {
+  // In memory, or journaled before tokens were kept out of the journal
+  if (clarityToken) return clarityToken;
+
+  if (clarityTokenOverride) {
+    throw new Error('Clarity token override not persisted across restarts - queue the batch again with clarityToken');
+  }
+  if (tokenProfile) {
+    const profile = getProfile(tokenProfile);
+    if (!profile) {
+      throw new Error(`Profile "${tokenProfile}" not found`);
+    }
+    return profile.clarityToken;
+  }
+  return undefined;
+}
+
+/**
+ * Load the cookies a batch job runs with (see toJobCredentialParams)
+ * @param {Object} params - Job params
+ * @returns {string|Array} Cookies
+ */
+function resolveJobCookies({ clarityCookies, inlineCookies, sealedCookies, cookieProfile, cookieSet }) {
+  // In memory, or journaled before cookies were kept out of the journal
+  if (clarityCookies) return clarityCookies;
+
+  if (inlineCookies) {
+    throw new Error('Inline cookies are not persisted across restarts - queue the batch again (or set COOKIE_VAULT_KEY, or use a cookieSet)');
+  }
+  if (sealedCookies) {
+    if (!isSealedWithCurrentKey(sealedCookies)) {
+      throw new Error('Inline cookies were sealed before a COOKIE_VAULT_KEY rotation - queue the batch again');
+    }
+    return openSealedCookies(sealedCookies, JOB_COOKIES_LABEL);
+  }
+  if (cookieProfile) {
+    const profile = getProfile(cookieProfile);
+    const cookies = profile?.clarityCookies || (profile?.cookieSet && getCookieSet(profile.cookieSet));
+    if (!cookies) {
+      throw new Error(`Profile "${cookieProfile}" not found or has no cookies`);
+    }
+    return cookies;
+  }
+
+  const cookies = getCookieSet(cookieSet);
+  if (!cookies) {
+    throw new Error(`Cookie set "${cookieSet}" not found`);
+  }
+  return cookies;
+}
 
 /**
  * Check cookie expiry status
  * POST /cookies/check
- * Body: { clarityCookies, slackWebhookUrl?, notifyIfExpiringSoon? }
+ * Body: { clarityCookies | cookieSet | profile, notifyIfExpiringSoon? }
  *
- * Returns cookie expiry information and optionally sends Slack notification
+ * Returns cookie expiry information and optionally sends a Slack notification
+ * to the profile's Slack webhook or SLACK_WEBHOOK_URL
  */
-app.post('/cookies/check', async (req, res) => {
+async function handleCookiesCheck(req, res) {
+  if (req.body.slackWebhookUrl !== undefined) {
+    return res.status(400).json({ success: false, error: SLACK_WEBHOOK_FIELD_ERROR });
+  }
+
+  const body = resolveRequestProfile(req.body);
+  if (!body) {
+    return res.status(404).json({ success: false, error: `Profile "${req.body.profile}" not found` });
+  }
+
+  const credentials = resolveRequestCookies(body);
+  if (credentials.error) {
+    return res.status(credentials.status).json({ success: false, error: credentials.error });
+  }
+
+  const clarityCookies = credentials.cookies;
   const {
-    clarityCookies,
-    slackWebhookUrl = process.env.SLACK_WEBHOOK_URL,
+    slackWebhookUrl = config.notifications.slackWebhookUrl,
     notifyIfExpiringSoon = true,
     thresholdDays = 7,
     projectName = 'Clarity',
     customerName = '',
-  } = req.body;
+  } = body;
 
   if (!clarityCookies) {
     return res.status(400).json({
       success: false,
-      error: 'clarityCookies is required',
+      error: 'clarityCookies or cookieSet is required',
     });
   }
 
@@ -143,32 +770,49 @@ app.post('/cookies/check', async (req, res) => {
       error: error.message,
     });
   }
-});
+}
+
+app.post('/cookies/check', requireScope('notify'), handleCookiesCheck);
 
 /**
  * Send Slack notification about cookie status (manual trigger)
  * POST /cookies/notify
- * Body: { clarityCookies, slackWebhookUrl, projectName?, customerName? }
+ * Body: { clarityCookies | cookieSet | profile, projectName?, customerName? }
+ * Posts to the profile's Slack webhook or SLACK_WEBHOOK_URL.
  */
-app.post('/cookies/notify', async (req, res) => {
+app.post('/cookies/notify', requireScope('notify'), async (req, res) => {
+  if (req.body.slackWebhookUrl !== undefined) {
+    return res.status(400).json({ success: false, error: SLACK_WEBHOOK_FIELD_ERROR });
+  }
+
+  const body = resolveRequestProfile(req.body);
+  if (!body) {
+    return res.status(404).json({ success: false, error: `Profile "${req.body.profile}" not found` });
+  }
+
+  const credentials = resolveRequestCookies(body);
+  if (credentials.error) {
+    return res.status(credentials.status).json({ success: false, error: credentials.error });
+  }
+
+  const clarityCookies = credentials.cookies;
   const {
-    clarityCookies,
-    slackWebhookUrl = process.env.SLACK_WEBHOOK_URL,
+    slackWebhookUrl = config.notifications.slackWebhookUrl,
     projectName = 'Clarity',
     customerName = '',
-  } = req.body;
+  } = body;
 
   if (!clarityCookies) {
     return res.status(400).json({
       success: false,
-      error: 'clarityCookies is required',
+      error: 'clarityCookies or cookieSet is required',
     });
   }
 
   if (!slackWebhookUrl) {
     return res.status(400).json({
       success: false,
-      error: 'slackWebhookUrl is required (or set SLACK_WEBHOOK_URL env var)',
+      error: 'No Slack webhook configured - set SLACK_WEBHOOK_URL or store one on the profile',
     });
   }
 
@@ -195,13 +839,36 @@ app.post('/cookies/notify', async (req, res) => {
 /**
  * Capture a single recording
  * POST /capture
- * Body: { url, sessionId, uploadToGdrive, clarityToken, projectId, clarityCookies }
+ * Body: { url, sessionId, uploadToGdrive, clarityToken, projectId, clarityCookies, playbackSpeed?, skipInactivity?, format?, trim?, force? }
+ *    or { profile: "acme", url?, ... } to use a stored customer profile
+ *    cookieSet: "acme" can replace clarityCookies to use cookies from the encrypted vault
  *
- * IMPORTANT: clarityCookies is REQUIRED for authentication.
+ * A recording already in the capture ledger isn't captured again: the response
+ * has skipped: true and the existing location. force: true captures it anyway.
+ *
+ * IMPORTANT: clarityCookies is REQUIRED for authentication (directly, via cookieSet or via the profile).
  * The Clarity web player requires browser session cookies to view recordings.
  * Export cookies using a browser extension while logged into Clarity.
  */
-app.post('/capture', async (req, res) => {
+async function handleCapture(req, res) {
+  if (req.body.slackWebhookUrl !== undefined) {
+    return res.status(400).json({ success: false, error: SLACK_WEBHOOK_FIELD_ERROR });
+  }
+
+  const body = resolveRequestProfile(req.body);
+  if (!body) {
+    return res.status(404).json({
+      success: false,
+      error: `Profile "${req.body.profile}" not found`,
+    });
+  }
+
+  const credentials = resolveRequestCookies(body);
+  if (credentials.error) {
+    return res.status(credentials.status).json({ success: false, error: credentials.error });
+  }
+
+  const clarityCookies = credentials.cookies;
   const {
     url,
     sessionId,
@@ -210,13 +877,22 @@ app.post('/capture', async (req, res) => {
     // Allow overriding credentials per-request (for multi-customer support)
     clarityToken,
     projectId,
-    // REQUIRED: Browser session cookies for Clarity authentication
-    clarityCookies,
-    // Optional: Slack notification for cookie expiry
-    slackWebhookUrl = process.env.SLACK_WEBHOOK_URL,
-  } = req.body;
-
-  console.log(`[${new Date().toISOString()}] Capture request received`);
+    // Optional: player settings (1/2/4/8x, skip inactive periods)
+    playbackSpeed,
+    skipInactivity,
+    // Optional: stored video format ('webm' or 'mp4', default OUTPUT_FORMAT)
+    format,
+    // Optional: false keeps the static lead-in and tail frames
+    trim = config.media.trim,
+    // Optional: Google Drive folder (from a profile)
+    driveFolderId,
+    // Slack notification for cookie expiry (profile webhook or SLACK_WEBHOOK_URL)
+    slackWebhookUrl = config.notifications.slackWebhookUrl,
+    // Optional: capture again even if the ledger has this recording
+    force = false,
+  } = body;
+
+  console.log(`[${new Date().toISOString()}] Capture request received${req.body.profile ? ` (profile: ${req.body.profile})` : ''}`);
   console.log(`  URL: ${url || 'fetch latest'}`);
   console.log(`  Session ID: ${sessionId || 'auto'}`);
   console.log(`  Upload to GDrive: ${uploadToGdrive}`);
@@ -226,10 +902,22 @@ app.post('/capture', async (req, res) => {
   if (!clarityCookies) {
     return res.status(400).json({
       success: false,
-      error: 'clarityCookies is REQUIRED. Export cookies from your browser while logged into Clarity.',
+      error: 'clarityCookies (or cookieSet) is REQUIRED. Export cookies from your browser while logged into Clarity.',
     });
   }
 
+  let playback;
+  let outputFormat;
+  try {
+    playback = normalizePlaybackOptions({ playbackSpeed, skipInactivity });
+    outputFormat = normalizeOutputFormat(format);
+    if (typeof trim !== 'boolean') {
+      throw new Error('trim must be true or false');
+    }
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
   // Check cookie expiry and notify if expiring soon
   const expiryInfo = checkCookieExpiry(clarityCookies);
 
@@ -257,16 +945,8 @@ app.post('/capture', async (req, res) => {
   }
 
   try {
-    // If custom credentials provided, temporarily override config
-    const originalToken = config.clarity.apiToken;
-    const originalProjectId = config.clarity.projectId;
-
-    if (clarityToken) {
-      config.clarity.apiToken = clarityToken;
-    }
-    if (projectId) {
-      config.clarity.projectId = projectId;
-    }
+    // Per-request credentials (for multi-customer support) stay in this client
+    const client = createClarityClient({ apiToken: clarityToken, projectId });
 
     const result = await captureSingleRecording({
       url,
@@ -274,12 +954,14 @@ app.post('/capture', async (req, res) => {
       uploadToGdrive,
       outputPath,
       clarityCookies,
+      ...playback,
+      format: outputFormat,
+      trim,
+      client,
+      driveFolderId,
+      force: force === true,
     });
 
-    // Restore original config
-    config.clarity.apiToken = originalToken;
-    config.clarity.projectId = originalProjectId;
-
     // Include cookie expiry info in response
     result.cookieExpiry = {
       daysRemaining: expiryInfo.daysRemaining,
@@ -297,55 +979,403 @@ app.post('/capture', async (req, res) => {
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
   }
+}
+
+app.post('/capture', requireScope('capture'), handleCapture);
+
+/**
+ * Look up where a session's recordings were captured
+ * GET /captures/:sessionId
+ * Query: projectId (optional) - only captures from this Clarity project
+ */
+app.get('/captures/:sessionId', requireScope('read-queue'), (req, res) => {
+  const { projectId } = req.query;
+  const captures = getSessionCaptures(req.params.sessionId)
+    .filter((capture) => !projectId || capture.projectId === projectId);
+
+  if (captures.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No captures found for this session',
+    });
+  }
+
+  res.json({
+    success: true,
+    sessionId: req.params.sessionId,
+    count: captures.length,
+    captures,
+  });
 });
 
+/**
+ * Process a queued /batch job
+ * Registered as the 'batch' job handler so queued and interrupted jobs can
+ * be picked up again after a restart. Recordings are fetched page by page
+ * while earlier ones are already being captured; recordingsTotal grows as
+ * they are found. Recordings that already succeeded (before an interruption
+ * or in an earlier slice) are skipped, as are ones that failed in an earlier
+ * slice.
+ *
+ * @param {Object} job - Job object
+ * @param {Object} params - Job params (credentials are only referenced, see toJobCredentialParams)
+ * @param {Object} params.query - Recordings query (startDate, endDate, count)
+ * @param {string} params.clarityToken - Clarity API token override (in memory only, optional)
+ * @param {boolean} params.clarityTokenOverride - A token override was given but not persisted
+ * @param {string} params.tokenProfile - Profile whose stored token to use
+ * @param {string} params.projectId - Clarity project ID override (optional)
+ * @param {Array} params.recordings - Recordings to capture (jobs queued before streaming)
+ * @param {string|Array} params.clarityCookies - Browser session cookies (in memory only)
+ * @param {Object} params.sealedCookies - Inline cookies encrypted with COOKIE_VAULT_KEY
+ * @param {boolean} params.inlineCookies - Inline cookies were given but not persisted
+ * @param {string} params.cookieProfile - Profile whose stored cookies to use
+ * @param {string} params.cookieSet - Cookie set in the vault
+ * @param {number} params.maxConcurrent - Parallel recordings within the job
+ * @param {string} params.driveFolderId - Google Drive folder override (from a profile)
+ * @param {number} params.playbackSpeed - Player speed (1, 2, 4 or 8)
+ * @param {boolean} params.skipInactivity - Skip inactive periods in the player
+ * @param {string} params.format - Stored video format, 'webm' or 'mp4'
+ * @param {boolean} params.trim - Cut static lead-in and tail frames
+ * @param {boolean} params.force - Capture again recordings the capture ledger already has
+ * @param {Object} context - Job context from the queue manager
+ * @param {AbortSignal} context.signal - Fires when the job is cancelled
+ * @param {boolean} context.continuation - Carrying on after giving way to another
+ *        job: recordings attempted in earlier slices are not retried
+ * @returns {Promise<Array>} Per-recording results
+ */
+async function runBatchJob(job, params, { signal, continuation }) {
+  const {
+    query,
+    projectId,
+    recordings,
+    maxConcurrent,
+    driveFolderId,
+    playbackSpeed = 1,
+    skipInactivity = false,
+    format = 'webm', // Jobs journaled before MP4 support
+    trim = config.media.trim,
+    force = false,
+  } = params;
+  console.log(`[${new Date().toISOString()}] Job ${job.id} starting processing`);
+
+  const clarityToken = resolveJobToken(params);
+  const clarityCookies = resolveJobCookies(params);
+
+  // Recordings not to capture again: successes, plus failures from earlier slices
+  const done = new Map(
+    job.results
+      .filter((r) => r.success || (continuation && !r.cancelled))
+      .map((r) => [r.sessionId, r])
+  );
+
+  if (done.size > 0) {
+    console.log(`[${new Date().toISOString()}] Job ${job.id} resuming: ${done.size} already done`);
+  }
+
+  const client = createClarityClient({ apiToken: clarityToken, projectId });
+  const source = recordings || iterateSessionRecordings({ ...query, client });
+
+  // Count every recording found, but only hand over the ones still to capture
+  async function* pendingRecordings() {
+    let discovered = 0;
+    for await (const recording of source) {
+      discovered++;
+      if (discovered > job.recordingsTotal) {
+        updateJob(job.id, { recordingsTotal: discovered });
+      }
+      if (!done.has(recording.sessionId)) {
+        yield recording;
+      }
+    }
+    if (discovered !== job.recordingsTotal) {
+      updateJob(job.id, { recordingsTotal: discovered });
+    }
+  }
+
+  // Process recordings function
+  const processRecording = async (recording, index, total, { signal, emit }) => {
+    const progress = `[${index + 1}/${total ?? '?'}]`;
+
+    // Captured by an earlier job: link to it instead of recording it again
+    const existing = force ? null : findCapture(recording, client.projectId);
+    if (existing) {
+      console.log(`${progress} Skipping ${recording.sessionId}: already captured ${existing.capturedAt} (${existing.location})`);
+      const result = toSkippedResult(existing);
+      emit('recording_skipped', {
+        location: result.location,
+        path: result.path,
+        webViewLink: result.webViewLink,
+        capturedAt: result.capturedAt,
+      });
+      return result;
+    }
+
+    console.log(`${progress} Processing: ${recording.sessionId}`);
+
+    try {
+      const durationMs = parseDuration(recording.totalDuration) || 5 * 60 * 1000;
+
+      // Capture recording
+      const { video: videoBuffer, endReason, playback } = await recordClaritySession(recording.playbackUrl, durationMs, {
+        clarityCookies,
+        activeDurationMs: parseDuration(recording.activeDuration),
+        playbackSpeed,
+        skipInactivity,
+        signal,
+      });
+
+      console.log(`${progress} Captured: ${recording.sessionId} (${videoBuffer.byteLength} bytes, ${endReason})`);
+      emit('recording_captured', { bytes: videoBuffer.byteLength, endReason });
+
+      const processed = await postProcessRecording(videoBuffer, {
+        format,
+        trim,
+        recording,
+        playback,
+        label: recording.sessionId,
+      });
+
+      // Save or upload
+      let result;
+      if (job.uploadToGdrive) {
+        const uploadResult = await uploadRecording(
+          processed.video,
+          recording.sessionId,
+          new Date(recording.timestamp),
+          {
+            folderId: driveFolderId,
+            format: processed.details.format,
+            previews: processed.previews,
+            tracks: processed.tracks,
+          }
+        );
+        result = {
+          success: true,
+          sessionId: recording.sessionId,
+          location: 'google-drive',
+          fileId: uploadResult.fileId,
+          webViewLink: uploadResult.webViewLink,
+          ...(uploadResult.previews ? { previews: uploadResult.previews } : {}),
+          ...(uploadResult.tracks ? { tracks: uploadResult.tracks } : {}),
+          endReason,
+          ...processed.details,
+        };
+      } else {
+        // Save to job's dedicated folder
+        const localPath = path.join(job.folder, `${recording.sessionId}.${processed.extension}`);
+        const { previews, tracks } = saveRecording(processed, localPath);
+        result = {
+          success: true,
+          sessionId: recording.sessionId,
+          location: 'local',
+          path: localPath,
+          ...(previews ? { previews } : {}),
+          ...(tracks ? { tracks } : {}),
+          endReason,
+          ...processed.details,
+        };
+      }
+
+      recordCapture(recording, result, { projectId: client.projectId, jobId: job.id });
+      emit('recording_uploaded', {
+        location: result.location,
+        path: result.path,
+        webViewLink: result.webViewLink,
+        format: result.format,
+        previews: result.previews,
+        tracks: result.tracks,
+      });
+      return result;
+    } catch (error) {
+      console.log(`${progress} Failed: ${recording.sessionId} - ${error.message}`);
+      return {
+        success: false,
+        sessionId: recording.sessionId,
+        error: error.message,
+      };
+    }
+  };
+
+  // Process all recordings (parallel within job)
+  const results = await processRecordingsInJob(pendingRecordings(), processRecording, {
+    maxConcurrent,
+    jobId: job.id,
+    signal,
+  });
+
+  return [...done.values(), ...results];
+}
+
+registerJobHandler('batch', runBatchJob);
+
 /**
  * Capture multiple recordings in batch with JOB-LEVEL queueing
  * POST /batch
  *
  * Body: {
- *   count: number,              // Max recordings to fetch (default: 10)
+ *   count: number,              // Max recordings to capture (default: 10, no 250 cap)
  *   maxConcurrent: number,      // Parallel recordings within job (default: 2)
  *   uploadToGdrive: boolean,    // Upload to Google Drive
  *   webhookUrl: string,         // Callback URL when job completes
- *   clarityCookies: array,      // REQUIRED: Browser cookies
+ *   clarityCookies: array,      // REQUIRED: Browser cookies (or cookieSet)
+ *   cookieSet: string,          // Cookie set in the encrypted vault, used instead of clarityCookies
  *   metadata: object,           // Custom data to include in webhook
  *   startDate: string,          // Filter: start date
  *   endDate: string,            // Filter: end date
+ *   filters: object,            // Recording filters (deviceType, minClicks, sessionIds, ... - see recording-filters.js)
+ *   wait: boolean,              // Hold the connection until the job completes (default: false)
+ *   playbackSpeed: number,      // Player speed: 1, 2, 4 or 8 (default: 1)
+ *   skipInactivity: boolean,    // Skip inactive periods in the player (default: false)
+ *   format: string,             // Stored video format: 'webm' or 'mp4' (default: OUTPUT_FORMAT)
+ *   trim: boolean,              // Cut static lead-in and tail frames (default: TRIM_RECORDINGS)
+ *   profile: string,            // Stored customer profile supplying credentials and defaults
+ *   priority: string,           // Queue lane: 'high', 'normal' (default) or 'bulk'
+ *   force: boolean,             // Capture recordings the capture ledger already has (default: false)
  * }
  *
- * Response includes jobId and folder path.
- * Jobs are queued - only ONE job runs at a time.
+ * By default responds 202 Accepted as soon as the job is queued, with
+ * jobId, folder, queuePosition and a statusUrl to poll. Pass wait: true
+ * for the legacy behaviour of responding with full results on completion.
+ *
+ * Recordings are fetched when the job starts and streamed into it, so
+ * count may exceed the API's 250-per-request limit; the job's
+ * recordingsTotal grows as pages arrive.
+ *
+ * Jobs are queued - only ONE job runs at a time, picked by priority lane and
+ * then round-robin across customers; long jobs give way between slices.
  * Each job gets its own dedicated folder.
  * Webhook fires when job completes with folder path.
  */
-app.post('/batch', async (req, res) => {
+async function handleBatch(req, res) {
+  try {
+    const queued = await queueBatchJob(req.body, { createdBy: req.apiKey?.name });
+    if (queued.error) {
+      return res.status(queued.status).json({
+        success: false,
+        error: queued.error,
+        ...(queued.cookieExpiry ? { cookieExpiry: queued.cookieExpiry } : {}),
+      });
+    }
+
+    const { job, position, completion, cookieExpiry } = queued;
+
+    if (!req.body.wait) {
+      // Failures are recorded on the job and sent to the webhook
+      completion.catch(() => {});
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        folder: job.folder,
+        queuePosition: position,
+        statusUrl: `${req.protocol}://${req.get('host')}/queue/job/${job.id}`,
+        cookieExpiry,
+      });
+    }
+
+    const result = await completion;
+
+    console.log(`[${new Date().toISOString()}] Job ${result.jobId} completed`);
+
+    res.json({
+      success: true,
+      jobId: result.jobId,
+      folder: result.folder,
+      total: result.total,
+      completed: result.completed,
+      failed: result.failed,
+      results: result.results,
+      cookieExpiry,
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Batch error:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+app.post('/batch', requireScope('capture'), handleBatch);
+
+/**
+ * Validate a /batch request and queue its job
+ * Shared by POST /batch and scheduled runs (see scheduler.js).
+ *
+ * @param {Object} requestBody - /batch body (may reference a profile)
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - API key or schedule that asked for the job
+ * @returns {Promise<Object>} { job, position, completion, cookieExpiry }, or
+ *          { status, error, cookieExpiry? } if the request can't be queued
+ */
+async function queueBatchJob(requestBody, { createdBy = null } = {}) {
+  if (requestBody.slackWebhookUrl !== undefined) {
+    return { status: 400, error: SLACK_WEBHOOK_FIELD_ERROR };
+  }
+
+  const body = resolveRequestProfile(requestBody);
+  if (!body) {
+    return { status: 404, error: `Profile "${requestBody.profile}" not found` };
+  }
+
+  const credentials = resolveRequestCookies(body);
+  if (credentials.error) {
+    return credentials;
+  }
+
+  const clarityCookies = credentials.cookies;
   const {
     count = 10,
     maxConcurrent = config.processing.maxConcurrent,
     uploadToGdrive = false,
     webhookUrl,
-    clarityToken,
     projectId,
     startDate,
     endDate,
-    clarityCookies,
+    filters = {},
     metadata = {},
-    slackWebhookUrl = process.env.SLACK_WEBHOOK_URL,
-  } = req.body;
-
-  console.log(`[${new Date().toISOString()}] Batch capture request received`);
-  console.log(`  Count: ${count}, Concurrency: ${maxConcurrent}`);
+    slackWebhookUrl = config.notifications.slackWebhookUrl,
+    playbackSpeed,
+    skipInactivity,
+    format,
+    trim = config.media.trim,
+    driveFolderId,
+    priority = 'normal',
+    force = false,
+  } = body;
+
+  console.log(`[${new Date().toISOString()}] Batch capture request received${requestBody.profile ? ` (profile: ${requestBody.profile})` : ''}`);
+  console.log(`  Count: ${count}, Concurrency: ${maxConcurrent}, Priority: ${priority}`);
   console.log(`  Upload to GDrive: ${uploadToGdrive}`);
   console.log(`  Webhook URL: ${webhookUrl || 'none'}`);
   console.log(`  Cookies provided: ${clarityCookies ? 'yes' : 'NO - will fail!'}`);
 
   // Validate cookies
   if (!clarityCookies) {
-    return res.status(400).json({
-      success: false,
-      error: 'clarityCookies is REQUIRED. Export cookies from your browser while logged into Clarity.',
-    });
+    return {
+      status: 400,
+      error: 'clarityCookies (or cookieSet) is REQUIRED. Export cookies from your browser while logged into Clarity.',
+    };
+  }
+
+  let playback;
+  let outputFormat;
+  let dateRange;
+  let recordingFilters;
+  try {
+    playback = normalizePlaybackOptions({ playbackSpeed, skipInactivity });
+    outputFormat = normalizeOutputFormat(format);
+    if (typeof trim !== 'boolean') {
+      throw new Error('trim must be true or false');
+    }
+    dateRange = resolveDateRange({ startDate, endDate });
+    recordingFilters = parseRecordingFilters(filters);
+    if (!JOB_PRIORITIES.includes(priority)) {
+      throw new Error(`priority must be one of ${JOB_PRIORITIES.join(', ')} (got ${priority})`);
+    }
+  } catch (error) {
+    return { status: 400, error: error.message };
   }
 
   // Check cookie expiry
@@ -358,11 +1388,11 @@ app.post('/batch', async (req, res) => {
       }).catch(() => {});
     }
 
-    return res.status(400).json({
-      success: false,
+    return {
+      status: 400,
       error: `Cookies have expired. Please export fresh cookies from Clarity.`,
       cookieExpiry: expiryInfo,
-    });
+    };
   }
 
   // Warn about expiring cookies
@@ -372,161 +1402,132 @@ app.post('/batch', async (req, res) => {
     }).catch(() => {});
   }
 
-  try {
-    // Override config if custom credentials provided
-    const originalToken = config.clarity.apiToken;
-    const originalProjectId = config.clarity.projectId;
-
-    if (clarityToken) config.clarity.apiToken = clarityToken;
-    if (projectId) config.clarity.projectId = projectId;
+  const credentialParams = toJobCredentialParams(requestBody, body, clarityCookies);
 
-    // Fetch recordings first (before queueing)
-    console.log(`[${new Date().toISOString()}] Fetching recordings...`);
-    const recordings = await fetchSessionRecordings({
-      startDate: startDate ? new Date(startDate) : undefined,
-      endDate: endDate ? new Date(endDate) : undefined,
-      count,
-    });
+  // Queue the job - it will wait if another job is running. Recordings are
+  // fetched by the job itself, page by page, once it starts.
+  const { job, position, completion } = submitJob({
+    type: 'batch',
+    profile: requestBody.profile,
+    createdBy,
+    priority,
+    uploadToGdrive,
+    webhookUrl,
+    metadata: {
+      ...metadata,
+      cookieExpiry: expiryInfo,
+    },
+    params: {
+      query: {
+        startDate: dateRange.startDate.toISOString(),
+        endDate: dateRange.endDate.toISOString(),
+        count,
+        filters: recordingFilters,
+      },
+      projectId,
+      ...credentialParams.params,
+      maxConcurrent,
+      driveFolderId,
+      force: force === true,
+      ...playback,
+      format: outputFormat,
+      trim,
+    },
+    secrets: credentialParams.secrets,
+  });
 
-    // Restore config
-    config.clarity.apiToken = originalToken;
-    config.clarity.projectId = originalProjectId;
+  return {
+    job,
+    position,
+    completion,
+    cookieExpiry: {
+      daysRemaining: expiryInfo.daysRemaining,
+      expiresAt: expiryInfo.expiresAt,
+      warningLevel: expiryInfo.warningLevel,
+    },
+  };
+}
 
-    if (recordings.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No recordings found for the specified criteria',
-        total: 0,
-        results: [],
-      });
-    }
+/**
+ * Get recording URLs from Clarity API
+ * POST /recordings
+ * Body: { count, startDate, endDate, filters, clarityToken, projectId, profile? }
+ */
+async function handleRecordings(req, res) {
+  const body = resolveRequestProfile(req.body);
+  if (!body) {
+    return res.status(404).json({
+      success: false,
+      error: `Profile "${req.body.profile}" not found`,
+    });
+  }
 
-    console.log(`[${new Date().toISOString()}] Found ${recordings.length} recordings, queueing job...`);
-
-    // Queue the job - will wait if another job is running
-    const result = await queueJob(
-      {
-        recordingsCount: recordings.length,
-        uploadToGdrive,
-        webhookUrl,
-        metadata: {
-          ...metadata,
-          cookieExpiry: expiryInfo,
-        },
-      },
-      async (job) => {
-        // This runs when it's this job's turn
-        console.log(`[${new Date().toISOString()}] Job ${job.id} starting processing`);
-
-        // Process recordings function
-        const processRecording = async (recording, index, total) => {
-          const progress = `[${index + 1}/${total}]`;
-          console.log(`${progress} Processing: ${recording.sessionId}`);
-
-          try {
-            const durationMs = parseDuration(recording.totalDuration) || 5 * 60 * 1000;
-
-            // Capture recording
-            const videoBuffer = await recordClaritySession(recording.playbackUrl, durationMs, {
-              clarityCookies,
-            });
-
-            console.log(`${progress} Captured: ${recording.sessionId} (${videoBuffer.byteLength} bytes)`);
-
-            // Save or upload
-            if (uploadToGdrive) {
-              const uploadResult = await uploadRecording(
-                Buffer.from(videoBuffer),
-                recording.sessionId,
-                new Date(recording.timestamp)
-              );
-              return {
-                success: true,
-                sessionId: recording.sessionId,
-                location: 'google-drive',
-                fileId: uploadResult.fileId,
-                webViewLink: uploadResult.webViewLink,
-              };
-            } else {
-              // Save to job's dedicated folder
-              const localPath = path.join(job.folder, `${recording.sessionId}.webm`);
-              fs.writeFileSync(localPath, Buffer.from(videoBuffer));
-              return {
-                success: true,
-                sessionId: recording.sessionId,
-                location: 'local',
-                path: localPath,
-              };
-            }
-          } catch (error) {
-            console.log(`${progress} Failed: ${recording.sessionId} - ${error.message}`);
-            return {
-              success: false,
-              sessionId: recording.sessionId,
-              error: error.message,
-            };
-          }
-        };
+  const { count = 50, startDate, endDate, filters = {}, clarityToken, projectId } = body;
 
-        // Process all recordings (parallel within job)
-        return processRecordingsInJob(recordings, processRecording, { maxConcurrent });
-      }
-    );
+  let recordingFilters;
+  try {
+    recordingFilters = parseRecordingFilters(filters);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
-    console.log(`[${new Date().toISOString()}] Job ${result.jobId} completed`);
+  try {
+    const recordings = await fetchSessionRecordings({
+      count,
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      filters: recordingFilters,
+      client: createClarityClient({ apiToken: clarityToken, projectId }),
+    });
 
     res.json({
       success: true,
-      jobId: result.jobId,
-      folder: result.folder,
-      total: result.total,
-      completed: result.completed,
-      failed: result.failed,
-      results: result.results,
-      cookieExpiry: {
-        daysRemaining: expiryInfo.daysRemaining,
-        expiresAt: expiryInfo.expiresAt,
-        warningLevel: expiryInfo.warningLevel,
-      },
+      count: recordings.length,
+      recordings,
     });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Batch error:`, error.message);
     res.status(500).json({
       success: false,
       error: error.message,
     });
   }
-});
+}
+
+app.post('/recordings', requireScope('capture'), handleRecordings);
 
 /**
- * Get recording URLs from Clarity API
- * POST /recordings
- * Body: { count, startDate, endDate, clarityToken, projectId }
+ * Fetch dashboard insights from the Clarity Data Export API
+ * POST /insights
+ * Body: { numOfDays?: 1|2|3, dimension1?, clarityToken?, projectId?, profile? }
  */
-app.post('/recordings', async (req, res) => {
-  const { fetchSessionRecordings } = await import('./clarity-api.js');
+async function handleInsights(req, res) {
+  const body = resolveRequestProfile(req.body);
+  if (!body) {
+    return res.status(404).json({
+      success: false,
+      error: `Profile "${req.body.profile}" not found`,
+    });
+  }
 
-  const { count = 50, startDate, endDate, clarityToken, projectId } = req.body;
+  const { numOfDays = 1, dimension1, clarityToken, projectId } = body;
 
-  try {
-    // Override config if custom credentials provided
-    const originalToken = config.clarity.apiToken;
-    if (clarityToken) {
-      config.clarity.apiToken = clarityToken;
-    }
+  if (![1, 2, 3].includes(numOfDays)) {
+    return res.status(400).json({ success: false, error: 'numOfDays must be 1, 2 or 3' });
+  }
+  if (dimension1 !== undefined && typeof dimension1 !== 'string') {
+    return res.status(400).json({ success: false, error: 'dimension1 must be a string' });
+  }
 
-    const recordings = await fetchSessionRecordings({
-      count,
-      startDate: startDate ? new Date(startDate) : undefined,
-      endDate: endDate ? new Date(endDate) : undefined,
+  try {
+    const insights = await fetchDashboardInsights(numOfDays, dimension1, {
+      client: createClarityClient({ apiToken: clarityToken, projectId }),
     });
 
-    config.clarity.apiToken = originalToken;
-
     res.json({
       success: true,
-      count: recordings.length,
-      recordings,
+      numOfDays,
+      dimension1: dimension1 || null,
+      insights,
     });
   } catch (error) {
     res.status(500).json({
@@ -534,39 +1535,126 @@ app.post('/recordings', async (req, res) => {
       error: error.message,
     });
   }
-});
+}
+
+app.post('/insights', requireScope('capture'), handleInsights);
 
 /**
- * Webhook endpoint for external triggers
- * POST /webhook
- * Body: { action, payload }
+ * Check that a webhook payload names a job
+ * @param {Object} payload - Action payload
+ * @returns {string|null} Error message or null
+ */
+function requireJobId(payload) {
+  return typeof payload.jobId === 'string' && payload.jobId ? null : 'jobId is required';
+}
+
+// /webhook actions: the handler each one runs, the scope it needs (same as
+// the matching endpoint) and any payload checks beyond the handler's own
+const WEBHOOK_ACTIONS = {
+  capture_single: {
+    scope: 'capture',
+    handler: handleCapture,
+    validate: (payload) => (payload.url !== undefined && typeof payload.url !== 'string' ? 'url must be a string' : null),
+  },
+  capture_batch: {
+    scope: 'capture',
+    handler: handleBatch,
+    validate: (payload) =>
+      payload.count !== undefined && !(Number.isInteger(payload.count) && payload.count > 0)
+        ? 'count must be a positive integer'
+        : null,
+  },
+  check_cookies: {
+    scope: 'notify',
+    handler: handleCookiesCheck,
+    validate: (payload) => (payload.clarityCookies || payload.cookieSet ? null : 'clarityCookies or cookieSet is required'),
+  },
+  cancel_job: {
+    scope: 'capture',
+    handler: handleCancelJob,
+    validate: requireJobId,
+    params: (payload) => ({ jobId: payload.jobId }),
+  },
+  job_status: {
+    scope: 'read-queue',
+    handler: handleJobStatus,
+    validate: requireJobId,
+    params: (payload) => ({ jobId: payload.jobId }),
+  },
+  list_recordings: {
+    scope: 'capture',
+    handler: handleRecordings,
+    validate: (payload) =>
+      payload.count !== undefined && !(Number.isInteger(payload.count) && payload.count > 0)
+        ? 'count must be a positive integer'
+        : null,
+  },
+  insights: {
+    scope: 'capture',
+    handler: handleInsights,
+  },
+};
+
+/**
+ * Validate the action and payload of a /webhook call
+ * Runs before authorization, which needs to know the action's scope.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
  */
-app.post('/webhook', async (req, res) => {
-  const { action, payload } = req.body;
+function validateWebhookAction(req, res, next) {
+  const { action, payload = {} } = req.body || {};
+  const definition = WEBHOOK_ACTIONS[action];
+
+  if (!definition) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown action: ${action}. Supported: ${Object.keys(WEBHOOK_ACTIONS).join(', ')}`,
+    });
+  }
 
-  console.log(`[${new Date().toISOString()}] Webhook received: ${action}`);
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({ success: false, error: 'payload must be an object' });
+  }
 
-  switch (action) {
-    case 'capture_single':
-      // Redirect to /capture
-      req.body = payload;
-      return app._router.handle({ ...req, url: '/capture', method: 'POST' }, res, () => {});
+  const error = definition.validate?.(payload);
+  if (error) {
+    return res.status(400).json({ success: false, error: `Invalid ${action} payload: ${error}` });
+  }
 
-    case 'capture_batch':
-      req.body = payload;
-      return app._router.handle({ ...req, url: '/batch', method: 'POST' }, res, () => {});
+  next();
+}
 
-    case 'check_cookies':
-      req.body = payload;
-      return app._router.handle({ ...req, url: '/cookies/check', method: 'POST' }, res, () => {});
+/**
+ * Webhook endpoint for external triggers
+ * POST /webhook
+ * Body: { action, payload }
+ *
+ * Actions: capture_single, capture_batch, check_cookies, cancel_job,
+ * job_status, list_recordings, insights. Each runs the same handler as its
+ * endpoint, with the payload as the request body, and responds the same way.
+ * With INBOUND_WEBHOOK_SECRET set the body must be signed (X-Signature-256).
+ */
+app.post(
+  '/webhook',
+  verifyWebhookSignature,
+  validateWebhookAction,
+  requireScope((req) => WEBHOOK_ACTIONS[req.body.action].scope),
+  (req, res) => {
+    const { action, payload = {} } = req.body;
+    const { handler, params } = WEBHOOK_ACTIONS[action];
+
+    console.log(`[${new Date().toISOString()}] Webhook received: ${action}`);
+
+    // The handler sees the payload as its body; headers, API key etc. come from this request
+    const actionReq = Object.create(req, {
+      body: { value: payload, writable: true },
+      params: { value: params ? params(payload) : {} },
+    });
 
-    default:
-      res.status(400).json({
-        success: false,
-        error: `Unknown action: ${action}`,
-      });
+    return handler(actionReq, res);
   }
-});
+);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -578,6 +1666,28 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Pick up jobs left over from a previous run (handlers are registered above)
+restoreJobs();
+
+// Scheduled runs go through the same checks as POST /batch
+if (config.scheduler.enabled) {
+  startScheduler(async (schedule, { startDate, endDate }) => {
+    const queued = await queueBatchJob({
+      ...schedule.batch,
+      startDate,
+      endDate,
+      metadata: { ...schedule.batch.metadata, schedule: schedule.name },
+    }, { createdBy: `schedule:${schedule.name}` });
+
+    if (queued.error) {
+      throw new Error(queued.error);
+    }
+    // Failures are recorded on the job and sent to its webhook
+    queued.completion.catch(() => {});
+    return queued.job;
+  });
+}
+
 const PORT = process.env.PORT || 3001;
 
 app.listen(PORT, () => {
@@ -591,14 +1701,28 @@ app.listen(PORT, () => {
   console.log(`  GET  /health          - Health check + queue status`);
   console.log(`  GET  /queue           - Queue statistics & active jobs`);
   console.log(`  GET  /queue/job/:id   - Get specific job status`);
+  console.log(`  GET  /queue/job/:id/events - Live job progress (Server-Sent Events)`);
+  console.log(`  DELETE /queue/job/:id - Cancel a queued or running job`);
+  console.log(`  POST /queue/job/:id/resume - Resume a job interrupted by a restart`);
+  console.log(`  POST /queue/job/:id/webhook/redeliver - Send a job's webhook again`);
   console.log(`  POST /capture         - Capture single recording`);
-  console.log(`  POST /batch           - Capture multiple recordings (uses global queue)`);
+  console.log(`  GET  /captures/:sessionId - Where a session's recordings were captured`);
+  console.log(`  POST /batch           - Queue a batch job (202 + jobId; wait: true to block)`);
   console.log(`  POST /recordings      - Fetch recording URLs from Clarity API`);
+  console.log(`  POST /insights        - Fetch dashboard insights from Clarity API`);
+  console.log(`  GET  /profiles        - List customer profiles (credentials redacted)`);
+  console.log(`  POST /profiles        - Create a customer profile`);
+  console.log(`  GET|PATCH|DELETE /profiles/:name - Read, update or delete a profile`);
+  console.log(`  GET  /schedules       - List scheduled capture jobs`);
+  console.log(`  POST /schedules       - Create a schedule (cron + rolling date window)`);
+  console.log(`  GET|PATCH|DELETE /schedules/:name - Read (with next runs), update or delete a schedule`);
+  console.log(`  POST /schedules/:name/pause|resume - Pause or resume a schedule`);
   console.log(`  POST /cookies/check   - Check cookie expiry & optionally notify Slack`);
   console.log(`  POST /cookies/notify  - Send Slack notification about cookie status`);
-  console.log(`  POST /webhook         - Webhook trigger`);
+  console.log(`  POST /webhook         - Run an action (capture_single, capture_batch, check_cookies, cancel_job, job_status, list_recordings, insights)`);
   console.log('');
-  console.log('IMPORTANT: clarityCookies is REQUIRED for /capture and /batch');
+  console.log('IMPORTANT: clarityCookies (or a vault cookieSet) is REQUIRED for /capture and /batch');
+  console.log(isAuthEnabled() ? 'API keys: required (all endpoints except /health)' : 'API keys: AUTH_DISABLED=true - server is OPEN');
   console.log('');
   console.log('GLOBAL QUEUE: All /batch requests share a single queue.');
   console.log(`Maximum ${config.processing.maxConcurrent} browser sessions run at a time,`);
@@ -0,0 +1,239 @@
+/**
+ * Timeline Tracks
+ *
+ * Turns the timeline Clarity returns with each recording into two WebVTT
+ * files stored next to the video, so reviewers can jump to the moments
+ * that matter in any standard player:
+ * - <sessionId>.chapters.vtt: one chapter per page visit
+ * - <sessionId>.events.vtt: clicks, rage and dead clicks, errors and
+ *   navigations, as short cues at the moment they happened
+ *
+ * Timeline entries are either page URLs or objects; times can be offsets
+ * from the session start (ms), epoch ms, ISO timestamps or "mm:ss" strings.
+ * Session time is mapped to video time with the playback speed and where
+ * playback starts in the stored video (after trimming). With skipInactivity
+ * the player jumps over idle stretches the timeline still counts, so cues
+ * after an idle stretch come early.
+ */
+
+import { parseDuration } from './clarity-api.js';
+
+export const TRACK_FILES = {
+  chapters: { suffix: 'chapters.vtt', mimeType: 'text/vtt' },
+  events: { suffix: 'events.vtt', mimeType: 'text/vtt' },
+};
+
+// How long an event cue stays up, in video seconds
+const EVENT_CUE_SECONDS = 2;
+
+// Numbers above this are epoch milliseconds rather than offsets
+const EPOCH_MS_THRESHOLD = 1e11;
+
+const EVENT_LABELS = {
+  click: 'Click',
+  rageClick: 'Rage click',
+  deadClick: 'Dead click',
+  error: 'Error',
+  navigation: 'Navigation',
+};
+
+/**
+ * Read the first defined field of an object
+ * @param {Object} entry - Timeline entry
+ * @param {Array<string>} keys - Field names, in order of preference
+ * @returns {*} Value or undefined
+ */
+function pick(entry, keys) {
+  for (const key of keys) {
+    if (entry[key] !== undefined && entry[key] !== null && entry[key] !== '') return entry[key];
+  }
+  return undefined;
+}
+
+/**
+ * Convert a timeline time to milliseconds from the session start
+ * @param {*} value - Offset in ms, epoch ms, ISO timestamp or "[hh:]mm:ss" string
+ * @param {number} sessionStartMs - Session start (epoch ms), or NaN if unknown
+ * @returns {number|null} Offset in ms, or null if it can't be read
+ */
+function toOffsetMs(value, sessionStartMs) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    if (value > EPOCH_MS_THRESHOLD) {
+      return Number.isNaN(sessionStartMs) ? null : value - sessionStartMs;
+    }
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const clock = /^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(value.trim());
+    if (clock) {
+      const [, hours = 0, minutes, seconds] = clock;
+      return (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+    }
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed) && !Number.isNaN(sessionStartMs)) {
+      return parsed - sessionStartMs;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Classify a timeline entry's type
+ * @param {string} type - Type as Clarity reports it (e.g. "RageClick", "page_view")
+ * @param {boolean} hasUrl - Whether the entry has a page URL
+ * @returns {string|null} Key of EVENT_LABELS, or null for types we don't track
+ */
+function classifyEvent(type, hasUrl) {
+  const normalized = String(type || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!normalized) return hasUrl ? 'navigation' : null;
+
+  if (normalized.includes('rage')) return 'rageClick';
+  if (normalized.includes('dead')) return 'deadClick';
+  if (normalized.includes('click') || normalized === 'tap') return 'click';
+  if (normalized.includes('error') || normalized.includes('exception')) return 'error';
+  if (['navigation', 'navigate', 'pageview', 'page', 'pagevisit', 'visit'].includes(normalized)) return 'navigation';
+  return null;
+}
+
+/**
+ * Read page visits and events from a recording's timeline
+ * Pages without a time can't be placed on the video and are left out.
+ * @param {Object} recording - Recording from fetchSessionRecordings
+ * @returns {Object} { pages: [{ offsetMs, url }], events: [{ offsetMs, type, detail }] }, sorted by time
+ */
+export function parseTimeline(recording) {
+  const sessionStartMs = Date.parse(recording.timestamp);
+  const pages = [];
+  const events = [];
+
+  for (const entry of Array.isArray(recording.timeline) ? recording.timeline : []) {
+    if (typeof entry === 'string') continue; // A bare URL carries no time
+
+    if (!entry || typeof entry !== 'object') continue;
+
+    const url = pick(entry, ['url', 'pageUrl', 'page', 'href']);
+    const offsetMs = toOffsetMs(
+      pick(entry, ['offsetMs', 'offset', 'time', 'timestamp', 'startTime', 'start']),
+      sessionStartMs
+    );
+    if (offsetMs === null || offsetMs < 0) continue;
+
+    const type = classifyEvent(pick(entry, ['type', 'eventType', 'event', 'name']), typeof url === 'string');
+    if (!type) continue;
+
+    if (type === 'navigation' && typeof url === 'string') {
+      pages.push({ offsetMs, url });
+    }
+    const detail = type === 'navigation'
+      ? url
+      : pick(entry, ['message', 'text', 'target', 'selector', 'element', 'label']);
+    events.push({ offsetMs, type, ...(detail !== undefined ? { detail: String(detail) } : {}) });
+  }
+
+  pages.sort((a, b) => a.offsetMs - b.offsetMs);
+  events.sort((a, b) => a.offsetMs - b.offsetMs);
+  return { pages, events };
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds - Seconds
+ * @returns {string} "hh:mm:ss.mmm"
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Render WebVTT cues
+ * @param {Array<Object>} cues - Cues { start, end, text } in seconds
+ * @returns {string} WebVTT file contents
+ */
+function renderVtt(cues) {
+  const blocks = cues.map((cue, index) =>
+    // "-->" and blank lines would end the cue early
+    `${index + 1}\n${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text.replace(/-->/g, '->').replace(/\n+/g, ' ')}`
+  );
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Short label for a page URL
+ * @param {string} url - Page URL
+ * @returns {string} Path and query, or the URL as given if it doesn't parse
+ */
+function pageLabel(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Build the chapter and event tracks for a captured recording
+ * @param {Object} recording - Recording from fetchSessionRecordings (needs timeline and timestamp)
+ * @param {Object} video - Where the session sits in the stored video
+ * @param {number} video.playbackSpeed - Speed the player ran at
+ * @param {number} video.playbackStartSeconds - Video time at which session playback starts
+ * @param {number|null} video.durationSeconds - Video duration (default: estimated from the session)
+ * @returns {Object|null} { chapters, events } WebVTT contents (an empty track is left out),
+ *          or null if the timeline has nothing to place on the video
+ */
+export function buildTimelineTracks(recording, { playbackSpeed = 1, playbackStartSeconds = 0, durationSeconds = null } = {}) {
+  const { pages, events } = parseTimeline(recording);
+  if (pages.length === 0 && events.length === 0) return null;
+
+  const toVideoSeconds = (offsetMs) => playbackStartSeconds + offsetMs / 1000 / playbackSpeed;
+  // Page visits are navigation events too, so the last event is the latest thing to show
+  const videoEnd = durationSeconds ?? Math.max(
+    toVideoSeconds(parseDuration(recording.totalDuration)),
+    toVideoSeconds(events[events.length - 1].offsetMs) + EVENT_CUE_SECONDS
+  );
+  const clamp = (seconds) => Math.min(Math.max(seconds, 0), videoEnd);
+
+  const tracks = {};
+
+  const chapters = pages
+    .map((page, index) => ({
+      start: clamp(index === 0 ? 0 : toVideoSeconds(page.offsetMs)),
+      end: clamp(index + 1 < pages.length ? toVideoSeconds(pages[index + 1].offsetMs) : videoEnd),
+      text: `${index + 1}. ${pageLabel(page.url)}`,
+    }))
+    .filter((cue) => cue.end > cue.start);
+  if (chapters.length > 0) {
+    tracks.chapters = renderVtt(chapters);
+  }
+
+  const cues = events
+    .map((event) => {
+      const start = clamp(toVideoSeconds(event.offsetMs));
+      const detail = event.type === 'navigation' ? pageLabel(event.detail) : event.detail;
+      return {
+        start,
+        end: clamp(start + EVENT_CUE_SECONDS),
+        text: detail ? `${EVENT_LABELS[event.type]}: ${detail}` : EVENT_LABELS[event.type],
+      };
+    })
+    .filter((cue) => cue.end > cue.start);
+  if (cues.length > 0) {
+    tracks.events = renderVtt(cues);
+  }
+
+  return Object.keys(tracks).length > 0 ? tracks : null;
+}
+
+export default {
+  TRACK_FILES,
+  parseTimeline,
+  buildTimelineTracks,
+};
@@ -0,0 +1,156 @@
+/**
+ * Webhook Delivery
+ *
+ * Delivers job webhooks with HMAC-SHA256 signatures and retries.
+ *
+ * Each attempt sends:
+ * - X-Webhook-Id: delivery ID (the same across retries, for de-duplication)
+ * - X-Webhook-Timestamp: Unix seconds when the attempt was sent
+ * - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">,
+ *   keyed with WEBHOOK_SIGNING_SECRET (omitted when no secret is set)
+ *
+ * Network errors, timeouts, 408, 429 and 5xx responses are retried with
+ * exponential backoff and jitter; other 4xx responses fail immediately.
+ */
+
+import * as crypto from 'crypto';
+import { config } from './config.js';
+
+// Per-attempt request timeout
+const ATTEMPT_TIMEOUT_MS = 10000;
+
+// Longest wait between attempts
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Generate a delivery ID
+ * @returns {string} ID like "dlv_3f9c2a..."
+ */
+export function generateDeliveryId() {
+  return `dlv_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body
+ * Receivers recompute this over the raw body and compare, and should reject
+ * timestamps more than a few minutes old to stop replays.
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds (X-Webhook-Timestamp)
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value "sha256=<hex>"
+ */
+export function signWebhookPayload(body, timestamp, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Milliseconds to wait
+ */
+function retryDelayMs(attempt) {
+  const backoff = Math.min(config.webhooks.retryBaseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  // Spread retries between half and the full backoff so receivers aren't hit in lockstep
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Check whether a response status is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 408, 429 and 5xx
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Send one attempt
+ * @param {string} url - Webhook URL
+ * @param {string} body - Raw JSON body
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Attempt record { at, statusCode, error, durationMs, retryable }
+ */
+async function sendAttempt(url, body, deliveryId) {
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': String(timestamp),
+  };
+  if (config.webhooks.signingSecret) {
+    headers['X-Webhook-Signature'] = signWebhookPayload(body, timestamp, config.webhooks.signingSecret);
+  }
+
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null };
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS),
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `${response.status} ${response.statusText}`;
+    }
+    attempt.retryable = !response.ok && isRetryableStatus(response.status);
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${ATTEMPT_TIMEOUT_MS}ms` : error.message;
+    attempt.retryable = true;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+/**
+ * Deliver a webhook, retrying until it succeeds or attempts run out
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Delivery options
+ * @param {string} options.deliveryId - Delivery ID (default: new ID)
+ * @param {number} options.maxAttempts - Attempts before giving up (default: WEBHOOK_MAX_ATTEMPTS)
+ * @param {Function} options.onAttempt - Called with each attempt record as it finishes
+ * @returns {Promise<Object>} { deliveryId, delivered, attempts, lastError }
+ */
+export async function deliverWebhook(url, payload, {
+  deliveryId = generateDeliveryId(),
+  maxAttempts = config.webhooks.maxAttempts,
+  onAttempt = () => {},
+} = {}) {
+  const body = JSON.stringify(payload);
+  const attempts = [];
+
+  for (let n = 1; n <= maxAttempts; n++) {
+    const { retryable, ...attempt } = await sendAttempt(url, body, deliveryId);
+    attempts.push(attempt);
+    onAttempt(attempt);
+
+    if (!attempt.error) {
+      console.log(`[Webhook] Delivered ${deliveryId} to ${url} (attempt ${n})`);
+      return { deliveryId, delivered: true, attempts, lastError: null };
+    }
+
+    if (!retryable || n === maxAttempts) {
+      console.error(`[Webhook] Giving up on ${deliveryId} after ${n} attempt(s): ${attempt.error}`);
+      break;
+    }
+
+    const delay = retryDelayMs(n);
+    console.warn(`[Webhook] Attempt ${n}/${maxAttempts} for ${deliveryId} failed (${attempt.error}); retrying in ${Math.round(delay / 1000)}s`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  return { deliveryId, delivered: false, attempts, lastError: attempts[attempts.length - 1].error };
+}
+
+export default {
+  generateDeliveryId,
+  signWebhookPayload,
+  deliverWebhook,
+};